@@ -0,0 +1,151 @@
+'use strict';
+
+const ScalingStrategy = require('./ScalingStrategy');
+
+const configDefaults = {
+	/**
+	 * @cfg {Number} [headroom=1.2] The multiplier applied to the estimated number
+	 * of connections in use to leave room for load that is still rising.
+	 */
+	headroom       : 1.2,
+	/**
+	 * @cfg {Number} [sampleInterval=1000] The minimum number of milliseconds between
+	 * measurements of the arrival rate and query duration.
+	 */
+	sampleInterval : 1000, // 1 second
+	/**
+	 * @cfg {Number} [scaleDownStep=1] The maximum number of connections removed
+	 * on each tick so the pool shrinks gradually as load falls.
+	 */
+	scaleDownStep  : 1,
+	/**
+	 * @cfg {Number} [smoothing=0.3] The weight between `0` and `1` of the latest
+	 * measurement in the exponentially weighted moving averages. A lower value
+	 * smooths more and reacts slower.
+	 */
+	smoothing      : 0.3
+};
+
+/**
+ * Sets the target number of connections from the measured arrival rate of
+ * acquisitions, the average query duration and the queue depth instead of a
+ * fixed `connectionBuffer`. By Little's law, the number of connections in use
+ * is the arrival rate multiplied by the query duration:
+ *
+ *     target = ceil(rate * duration * headroom) + queued
+ *
+ * The rate and duration are smoothed with exponentially weighted moving averages
+ * to avoid flapping. While load is rising, the latest rate is used when it is
+ * above the smoothed rate so the pool scales up early. The pool scales up to the
+ * target on each acquire and tick and scales down by at most the
+ * {@link #scaleDownStep} free connections on each tick.
+ */
+class AdaptiveScalingStrategy extends ScalingStrategy {
+	constructor (config) {
+		super();
+
+		Object.assign(this, configDefaults, config);
+
+		/**
+		 * The last measurement of the totals of the pool.
+		 */
+		this.$last = null;
+		/**
+		 * The latest arrival rate in acquisitions per millisecond.
+		 */
+		this.$latestRate = 0;
+		/**
+		 * The smoothed arrival rate in acquisitions per millisecond.
+		 */
+		this.$rate = 0;
+		/**
+		 * The smoothed query duration in milliseconds, `null` until a query
+		 * has been measured.
+		 */
+		this.$duration = null;
+	}
+
+	acquire (stats) {
+		this.$measure(stats);
+
+		return Math.max(0, this.getTarget(stats) - stats.total);
+	}
+
+	tick (stats) {
+		this.$measure(stats);
+
+		const num = this.getTarget(stats) - stats.total;
+
+		if (num < 0) {
+			return -Math.min(-num, this.scaleDownStep, stats.free);
+		}
+
+		return num;
+	}
+
+	/**
+	 * @param {Object} stats The snapshot of the pool.
+	 * @returns {Number} The number of connections the pool should have, within the
+	 * `minConnectionLimit` and `maxConnectionLimit` of the snapshot.
+	 */
+	getTarget (stats) {
+		const rate   = Math.max(this.$rate, this.$latestRate);
+		const target = Math.ceil(rate * (this.$duration || 0) * this.headroom) + stats.queued;
+
+		return Math.min(stats.maxConnectionLimit, Math.max(stats.minConnectionLimit, target));
+	}
+
+	/**
+	 * @private
+	 * Measures the arrival rate and query duration since the last measurement
+	 * once the {@link #sampleInterval} has passed.
+	 *
+	 * @param {Object} stats The snapshot of the pool.
+	 */
+	$measure (stats) {
+		const last   = this.$last;
+		const sample = {
+			acquisitions : stats.acquisitions,
+			count        : stats.queryTime.count,
+			now          : stats.now,
+			sum          : stats.queryTime.sum
+		};
+
+		if (!last) {
+			this.$last = sample;
+
+			return;
+		}
+
+		const elapsed = sample.now - last.now;
+
+		if (elapsed < this.sampleInterval) {
+			return;
+		}
+
+		const count = sample.count - last.count;
+
+		this.$latestRate = (sample.acquisitions - last.acquisitions) / elapsed;
+		this.$rate       = this.$smooth(this.$rate, this.$latestRate);
+
+		if (count) {
+			const duration = (sample.sum - last.sum) / count;
+
+			this.$duration = this.$duration === null ? duration : this.$smooth(this.$duration, duration);
+		}
+
+		this.$last = sample;
+	}
+
+	/**
+	 * @private
+	 * @param {Number} average The current moving average.
+	 * @param {Number} value The latest measurement.
+	 * @returns {Number} The new moving average.
+	 */
+	$smooth (average, value) {
+		return average + this.smoothing * (value - average);
+	}
+}
+
+module.exports = AdaptiveScalingStrategy;
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * The default bucket upper bounds in milliseconds.
+ */
+const defaultBuckets = [ 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000 ];
+
+/**
+ * Records observed values into buckets in order to estimate percentiles
+ * without holding onto every value.
+ */
+class Histogram {
+	/**
+	 * @param {Number[]} [buckets] The upper bounds of the buckets. Values
+	 * above the last bound are counted in an overflow bucket.
+	 */
+	constructor (buckets = defaultBuckets) {
+		this.buckets = buckets.slice().sort((a, b) => a - b);
+
+		this.reset();
+	}
+
+	/**
+	 * Clears all observed values.
+	 *
+	 * @returns {Histogram}
+	 */
+	reset () {
+		this.counts = this.buckets.map(() => 0).concat(0);
+		this.count  = 0;
+		this.sum    = 0;
+		this.min    = null;
+		this.max    = null;
+
+		return this;
+	}
+
+	/**
+	 * @param {Number} value The value to record.
+	 * @returns {Histogram}
+	 */
+	observe (value) {
+		const { buckets } = this;
+
+		let index = 0;
+
+		while (index < buckets.length && value > buckets[index]) {
+			index++;
+		}
+
+		this.counts[index]++;
+
+		this.count++;
+		this.sum += value;
+
+		if (this.min === null || value < this.min) {
+			this.min = value;
+		}
+
+		if (this.max === null || value > this.max) {
+			this.max = value;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Estimates the value at the percentile by interpolating within
+	 * the bucket the percentile falls into.
+	 *
+	 * @param {Number} percentile The percentile between `0` and `100`.
+	 * @returns {Number} The estimated value, `null` if no values
+	 * have been observed.
+	 */
+	percentile (percentile) {
+		if (!this.count) {
+			return null;
+		}
+
+		const rank = percentile / 100 * this.count;
+
+		let cumulative = 0;
+
+		for (let index = 0; index < this.counts.length; index++) {
+			const count = this.counts[index];
+
+			if (count && cumulative + count >= rank) {
+				const lower = Math.max(index ? this.buckets[index - 1] : 0, this.min);
+				const upper = Math.min(index < this.buckets.length ? this.buckets[index] : this.max, this.max);
+
+				return lower + (upper - lower) * ((rank - cumulative) / count);
+			}
+
+			cumulative += count;
+		}
+
+		return this.max;
+	}
+
+	/**
+	 * @returns {Object[]} The buckets with the upper bound (`le`) and the
+	 * cumulative `count` of values less than or equal to the bound. The
+	 * overflow bucket has a bound of `Infinity`.
+	 */
+	getBuckets () {
+		let cumulative = 0;
+
+		return this.counts.map((count, index) => {
+			cumulative += count;
+
+			return {
+				count : cumulative,
+				le    : index < this.buckets.length ? this.buckets[index] : Infinity
+			};
+		});
+	}
+
+	/**
+	 * @returns {Object} A snapshot of the observed values along with
+	 * the 50th, 90th, 95th and 99th percentiles and the buckets
+	 * (see {@link #getBuckets}).
+	 */
+	toJSON () {
+		return {
+			buckets : this.getBuckets(),
+			count   : this.count,
+			sum     : this.sum,
+			mean    : this.count ? this.sum / this.count : null,
+			min     : this.min,
+			max     : this.max,
+			p50     : this.percentile(50),
+			p90     : this.percentile(90),
+			p95     : this.percentile(95),
+			p99     : this.percentile(99)
+		};
+	}
+}
+
+module.exports = Histogram;
@@ -1,14 +1,109 @@
 'use strict';
 
+const EventEmitter     = require('events');
+const { PassThrough }  = require('stream');
 const Connection       = require('mysql/lib/Connection');
 const ConnectionConfig = require('mysql/lib/ConnectionConfig');
+const Histogram        = require('./Histogram');
+const ScalingStrategy  = require('./ScalingStrategy');
+const Schedule         = require('./Schedule');
+
+/**
+ * Creates an error with a code much like the errors from the mysql module.
+ *
+ * @param {String} message The message of the error.
+ * @param {String} code The code to identify the error by.
+ * @returns {Error}
+ */
+function createError (message, code) {
+	const error = new Error(message);
+
+	error.code = code;
+
+	return error;
+}
+
+/**
+ * @returns {Error} The error used when a query is aborted from an `AbortSignal`.
+ */
+function createAbortError () {
+	const error = createError('The query was aborted', 'ABORT_ERR');
+
+	error.name = 'AbortError';
+
+	return error;
+}
+
+/**
+ * @param {Number} ms The number of milliseconds to wait.
+ * @returns {Promise} Resolves once the milliseconds have passed.
+ */
+function delay (ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses the `hosts` of a connection config. A host can be a `host:port`
+ * string or an object with a `host` and `port`.
+ *
+ * @param {Array} hosts The hosts in order of preference.
+ * @param {Number} port The port to use when a host does not have one.
+ * @returns {Object[]} The hosts, `null` if there are no hosts.
+ */
+function parseHosts (hosts, port) {
+	if (!hosts || !hosts.length) {
+		return null;
+	}
+
+	return hosts.map(host => {
+		if (typeof host === 'string') {
+			const parts = host.split(':');
+
+			host = {
+				host : parts[0],
+				port : parts[1]
+			};
+		}
+
+		return {
+			failedAt : null,
+			host     : host.host,
+			port     : Number(host.port) || port
+		};
+	});
+}
+
+/**
+ * The number of milliseconds between checks of the {@link Pool#schedule}.
+ */
+const scheduleCheckInterval = 60000; // 1 minute
+
+/**
+ * The configs a window of the {@link Pool#schedule} can set.
+ */
+const scheduleLimits = [ 'connectionBuffer', 'maxConnectionLimit', 'minConnectionLimit' ];
+
+/**
+ * The isolation levels that can be set for a transaction.
+ */
+const isolationLevels = [ 'READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE' ];
+
+/**
+ * The error codes a transaction can be retried on.
+ */
+const retryableTransactionErrors = [ 'ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT' ];
+
+/**
+ * Statements that can be explained when they are slow.
+ */
+const explainPattern = /^\s*SELECT\b/i;
 
 const configDefaults = {
 	/**
 	 * @cfg {Number} [acquireTimeout=10000] The number of milliseconds
 	 * for a connection to connect to the database till it timesout.
 	 */
-	acquireTimeout     : 10000, // 10 seconds
+	acquireTimeout          : 10000, // 10 seconds
 	/**
 	 * @cfg {Boolean} [bufferOnConstruct=true] Whether connections should
 	 * be buffered when the pool is constructing.
@@ -17,25 +112,50 @@ const configDefaults = {
 	 * are executing instead of connecting when a query executes.
 	 *
 	 * Please see {@link #connectionBuffer} for the number of connections
-	 * that will be created.
+	 * that will be created, or the {@link #scalingStrategy} when set.
+	 */
+	bufferOnConstruct       : true,
+	/**
+	 * @cfg {Number} [circuitBreakerThreshold=0] The number of connection attempts
+	 * in a row that can fail before the circuit breaker opens. While open, queries
+	 * and {@link #getConnection} calls that would create a connection fail fast with
+	 * an error with the `POOL_CIRCUIT_OPEN` code. A value of `0` disables the
+	 * circuit breaker.
+	 */
+	circuitBreakerThreshold : 0,
+	/**
+	 * @cfg {Number} [circuitBreakerTimeout=30000] The number of milliseconds the
+	 * circuit breaker stays open before a single probe connection is let through.
+	 * If the probe connects, the circuit breaker closes otherwise it stays open
+	 * for another period.
+	 */
+	circuitBreakerTimeout   : 30000, // 30 seconds
+	/**
+	 * @cfg {Function} [clock] Returns the current `Date` used to find the window
+	 * of the {@link #schedule}. Can be replaced in order to test schedules.
 	 */
-	bufferOnConstruct  : true,
+	clock                   : () => new Date(),
 	/**
 	 * @cfg {Number} [connectionBuffer=5] The number of connections to have
 	 * buffered to be available for a query.
 	 */
-	connectionBuffer   : 5,
+	connectionBuffer        : 5,
 	/**
 	 * @cfg {PoolConnection} [connectionClass=PoolConnection] The connection
 	 * class to use to create new connections with.
 	 */
-	connectionClass    : require('mysql/lib/PoolConnection'),
+	connectionClass         : require('mysql/lib/PoolConnection'),
 	/**
 	 * @Cfg {Object} [connectionConfig={}] The connection configurations
 	 * passed to the PoolConnection. For valid options, please see the
 	 * [mysql](https://www.npmjs.com/package/mysql#connection-options) module.
+	 *
+	 * Instead of a single `host` and `port`, a `hosts` array can be set with
+	 * the hosts in order of preference as `host:port` strings or objects with a
+	 * `host` and `port`. Please see {@link #hostSelection} for how a host is
+	 * selected for each connection.
 	 */
-	connectionConfig   : {},
+	connectionConfig        : {},
 	/**
 	 * @cfg {Number} [connectionDecay=300000] The number of milliseconds since
 	 * the last query a connection has executed when the number of connections
@@ -44,23 +164,132 @@ const configDefaults = {
 	 *
 	 * Please see {@link #scaleInterval} for the interval this will be checked.
 	 */
-	connectionDecay    : 300000, // 5 minutes
+	connectionDecay         : 300000, // 5 minutes
+	/**
+	 * @cfg {Number} [connectRetries=0] The number of times to retry connecting
+	 * with a new connection when a connection fails to connect.
+	 */
+	connectRetries          : 0,
+	/**
+	 * @cfg {Number} [connectRetryDelay=100] The number of milliseconds to wait
+	 * before the first connect retry. The delay doubles for each following retry
+	 * and is jittered to spread retries out.
+	 */
+	connectRetryDelay       : 100,
+	/**
+	 * @cfg {Number} [connectRetryMaxDelay=5000] The maximum number of milliseconds
+	 * to wait before a connect retry.
+	 */
+	connectRetryMaxDelay    : 5000, // 5 seconds
+	/**
+	 * @cfg {Number} [explainConnectionLimit=1] The maximum number of slow queries that
+	 * can be explained at once with {@link #slowQueryExplain}, each from a connection
+	 * outside of this pool. Once reached, a slow query is reported without its plan.
+	 */
+	explainConnectionLimit  : 1,
+	/**
+	 * @cfg {Number} [failbackTimeout=0] The number of milliseconds a host that
+	 * failed to connect is skipped for. Once passed, the host is tried again so
+	 * new connections go back to the preferred host after a failover. A value of
+	 * `0` skips a failed host until every other host has also failed.
+	 */
+	failbackTimeout         : 0,
+	/**
+	 * @cfg {String} [hostSelection='failover'] How a host is selected from the
+	 * `hosts` of the {@link #connectionConfig} for a new connection:
+	 *
+	 * - `failover` The first host that has not failed is used.
+	 * - `spread` The hosts that have not failed are used in turn.
+	 *
+	 * When a connection fails to connect, the host is skipped for the
+	 * {@link #failbackTimeout} and the next host is tried right away. When every
+	 * host has failed, the host that failed the longest ago is used.
+	 */
+	hostSelection           : 'failover',
+	/**
+	 * @cfg {Number} [keepAliveInterval=0] The number of milliseconds a free
+	 * connection can be idle before it is pinged in the background to keep it
+	 * from being closed by the database's `wait_timeout`. The free connections
+	 * are checked at this interval. A connection that fails the ping is replaced.
+	 * A value of `0` disables keepalive.
+	 */
+	keepAliveInterval       : 0,
+	/**
+	 * @cfg {Number} [killConnectionLimit=2] The maximum number of `KILL QUERY`
+	 * statements sent at once, each from a connection outside of this pool. Once
+	 * reached, further kills wait for a kill to finish.
+	 */
+	killConnectionLimit     : 2,
+	/**
+	 * @cfg {Number} [leakDetectionThreshold=0] The number of milliseconds a connection
+	 * from {@link #getConnection} can be held before the `leak` event fires with the
+	 * stack trace captured when the connection was acquired and how long it has been
+	 * held. Please see {@link #reclaimLeaks}. A value of `0` disables
+	 * leak detection.
+	 */
+	leakDetectionThreshold  : 0,
+	/**
+	 * @cfg {Number} [maxConcurrentPerKey=Infinity] The maximum number of connections
+	 * that can be handed out at once to queries or {@link #getConnection} calls with
+	 * the same `key` option. Further queries for the key are queued even when
+	 * connections are free.
+	 */
+	maxConcurrentPerKey     : Infinity,
 	/**
 	 * @cfg {Number} [maxConnectionLimit=10] The number of connections to be the
 	 * max number of connections that can be created. Buffering or querying will
 	 * never create a connection once this limit has been reached. If no limit is
 	 * wanted (not recommended), this can be set to `Infinity`.
 	 */
-	maxConnectionLimit : 10,
+	maxConnectionLimit      : 10,
+	/**
+	 * @cfg {Number} [maxLifetime=0] The maximum number of milliseconds a connection
+	 * can live. Once passed, the connection is retired the next time it is released
+	 * instead of becoming free. A value of `0` allows connections to live forever.
+	 */
+	maxLifetime             : 0,
+	/**
+	 * @cfg {Number} [maxQueuedPerKey=Infinity] The maximum number of queries with the
+	 * same `key` option that can be queued. Further queries for the key are rejected
+	 * with an error with the `POOL_KEY_LIMIT` code.
+	 */
+	maxQueuedPerKey         : Infinity,
+	/**
+	 * @cfg {Number} [maxUsesPerConnection=0] The maximum number of times a connection
+	 * can be handed out. Once reached, the connection is retired the next time it is
+	 * released instead of becoming free. A value of `0` allows unlimited uses.
+	 */
+	maxUsesPerConnection    : 0,
 	/**
 	 * @cfg {Number} [minConnectionLimit=0] The minimum umber of connections that
 	 * should be created. This is only used when connections are being scaled down.
 	 */
-	minConnectionLimit : 0,
+	minConnectionLimit      : 0,
+	/**
+	 * @cfg {Number} [queueAgingInterval=0] The number of milliseconds a queued query
+	 * has to wait for its priority to go up by one. This keeps low priority queries
+	 * from starving while higher priority queries keep getting queued. A value of
+	 * `0` disables aging.
+	 */
+	queueAgingInterval      : 0,
 	/**
 	 * @cfg {Number} [queueLimit=Infinity] The maximum number of queries that can be queued.
 	 */
-	queueLimit         : Infinity,
+	queueLimit              : Infinity,
+	/**
+	 * @cfg {Number} [queueTimeout=0] The maximum number of milliseconds a query
+	 * can wait in the queue for a free connection. Once waited longer, the query
+	 * is rejected with an error with the `POOL_QUEUE_TIMEOUT` code. A value of `0`
+	 * allows queries to wait forever.
+	 */
+	queueTimeout            : 0,
+	/**
+	 * @cfg {Boolean} [reclaimLeaks=false] Whether a connection held longer
+	 * than the {@link #leakDetectionThreshold} is destroyed so it no longer counts
+	 * towards the {@link #maxConnectionLimit}. Whoever holds it will get errors
+	 * when using it.
+	 */
+	reclaimLeaks            : false,
 	/**
 	 * @cfg {Number} [scaleInterval=300000] The number of milliseconds to check the
 	 * number of connections in order to scale down connections that have not been
@@ -69,17 +298,120 @@ const configDefaults = {
 	 * Please see {@link #connectionDecay} for the timeframe a connection is deemed
 	 * unnecessary.
 	 */
-	scaleInterval      : 300000 // 5 minutes
+	scaleInterval           : 300000, // 5 minutes
+	/**
+	 * @cfg {ScalingStrategy} [scalingStrategy] Decides how many connections to add
+	 * or remove on each acquire, release and {@link #scaleInterval} tick. Defaults to
+	 * a {@link ScalingStrategy} which uses the {@link #connectionBuffer} and the
+	 * {@link #connectionDecay}.
+	 */
+	scalingStrategy         : null,
+	/**
+	 * @cfg {Object[]} [schedule] Time windows of the day with different connection
+	 * limits. Each window has the `days`, `start` and `end` (see {@link Schedule}) and
+	 * can set the `minConnectionLimit`, `maxConnectionLimit` and `connectionBuffer`
+	 * while the local time is within the window. Outside of every window, the
+	 * configured limits are used.
+	 *
+	 * The pool scales up to the `minConnectionLimit` of a window ahead of its start
+	 * (see {@link #scheduleLeadTime}) and drains down after it ends by removing free
+	 * connections and busy connections as they are released.
+	 */
+	schedule                : null,
+	/**
+	 * @cfg {Number} [scheduleLeadTime=0] The number of milliseconds before a window of
+	 * the {@link #schedule} starts to scale up to its limits.
+	 */
+	scheduleLeadTime        : 0,
+	/**
+	 * @cfg {Boolean} [slowQueryExplain=false] Whether `EXPLAIN` is run for a slow
+	 * `SELECT` from a separate connection and the plan attached to the `slowQuery`
+	 * event. The `EXPLAIN` runs without the session state of the connection, such
+	 * as temporary tables. Please see {@link #explainConnectionLimit}.
+	 */
+	slowQueryExplain        : false,
+	/**
+	 * @cfg {Function} [slowQueryRedact] A function receiving the values and the SQL
+	 * statement of a slow query and returning the values to put in the `slowQuery`
+	 * event, to keep sensitive values out of logs. The values are reported as is if
+	 * not set.
+	 */
+	slowQueryRedact         : null,
+	/**
+	 * @cfg {Number} [slowQueryThreshold=0] The number of milliseconds a query can run
+	 * on its connection before the `slowQuery` event fires once it returns. A value
+	 * of `0` disables the slow query log.
+	 */
+	slowQueryThreshold      : 0,
+	/**
+	 * @cfg {Boolean} [validateOnBorrow=false] Whether a free connection should be
+	 * validated before being handed out. The connection is validated with a ping or
+	 * the {@link #validationQuery}. A connection that fails validation is removed and
+	 * another connection is handed out instead.
+	 */
+	validateOnBorrow        : false,
+	/**
+	 * @cfg {Number} [validationInterval=0] The number of milliseconds a connection
+	 * is deemed valid since it was last validated, connected or successfully queried.
+	 * Connections validated within this period skip validation.
+	 */
+	validationInterval      : 0,
+	/**
+	 * @cfg {String} [validationQuery] The SQL statement to validate a connection with.
+	 * If not set, the connection will be pinged.
+	 */
+	validationQuery         : null
 };
 
-class Pool {
+/**
+ * A pool of connections that scales the number of connections up and down
+ * based on use.
+ *
+ * The pool is an `EventEmitter` and fires an event whenever a connection
+ * or query changes state. Every listener receives a single event object
+ * with the `type` of the event, the `pool`, the `connection` (`null` if the
+ * event is not about a connection) and the `counts` of the pool at the moment
+ * the event fired (see {@link #getCounts}). The `error` event is the exception
+ * as it receives the `Error` as the first argument and the event object as
+ * the second argument, it is only fired when there are listeners for it.
+ *
+ * - `create` A connection has been created.
+ * - `connect` A connection has connected to the database.
+ * - `acquire` A connection has been handed out to execute a query or from {@link #getConnection}.
+ * - `release` A connection has been released and is free for use.
+ * - `enqueue` A query has been queued waiting on a free connection.
+ * - `dequeue` A queued query has been taken off the queue by a released connection.
+ * - `scaleDown` A connection is no longer needed and is being removed.
+ * - `retire` A released connection has passed the {@link #maxLifetime} or {@link #maxUsesPerConnection}.
+ * - `destroy` A connection has been removed from the pool.
+ * - `error` A connection failed to connect, a query could not be killed or a slow query could not be explained.
+ * - `circuitOpen` The circuit breaker opened after too many failed connection attempts.
+ * - `circuitClose` The circuit breaker closed after a connection connected.
+ * - `leak` A connection from {@link #getConnection} was held past the {@link #leakDetectionThreshold}, the event object also holds the `stack`, `heldFor` and `reclaimed`.
+ * - `slowQuery` A query ran longer than the {@link #slowQueryThreshold}, the event object also holds the `sql`, `values`, `duration`, `queueTime`, `threadId` and `plan`.
+ * - `schedule` The limits changed from the {@link #schedule}, the event object also holds the `limits` and the `window`.
+ * - `end` The pool has been ended or destroyed.
+ */
+class Pool extends EventEmitter {
 	constructor (config) {
+		super();
+
 		this.isPool = true;
 
 		Object.assign(this, configDefaults, config);
 
 		this.$connectionConfig = new ConnectionConfig(this.connectionConfig);
 
+		/**
+		 * Holds the hosts from the `hosts` of the {@link #connectionConfig} along
+		 * with when each host last failed to connect.
+		 */
+		this.$hosts = parseHosts(this.connectionConfig.hosts, this.$connectionConfig.port);
+		/**
+		 * The number of host selections, used for spreading connections across hosts.
+		 */
+		this.$hostSelections = 0;
+
 		/**
 		 * Holds all connections that have been created.
 		 */
@@ -103,13 +435,99 @@ class Pool {
 		 * Holds queries that are queued when there are no free connections.
 		 */
 		this.$queryQueue = new Set();
+		/**
+		 * Holds the number of connections handed out for each `key` option.
+		 */
+		this.$keyConnections = new Map();
+		/**
+		 * Holds when each `key` option was last handed a queued connection
+		 * in order to take queued queries from the keys in turn.
+		 */
+		this.$keyTurns = new Map();
+		/**
+		 * The number of queued entries that have been handed a connection
+		 * while keys were queued.
+		 */
+		this.$turns = 0;
+		/**
+		 * Holds the middleware added with {@link #use} in the order they run.
+		 */
+		this.$middleware = [];
+		/**
+		 * The number of `KILL QUERY` statements being sent.
+		 */
+		this.$kills = 0;
+		/**
+		 * Holds the kills waiting for the {@link #killConnectionLimit}.
+		 */
+		this.$killQueue = [];
+		/**
+		 * Holds the slow statements being explained so the same statement
+		 * is not explained more than once at a time.
+		 */
+		this.$explaining = new Set();
+
+		/**
+		 * Running totals since this pool was constructed.
+		 */
+		this.$stats = {
+			acquisitions         : 0,
+			connectionsCreated   : 0,
+			connectionsDestroyed : 0,
+			queries              : 0,
+			queriesFailed        : 0,
+			queueRejections      : 0,
+			scaleDowns           : 0,
+			timeouts             : 0
+		};
+		/**
+		 * Holds the number of milliseconds queries have waited in the queue.
+		 */
+		this.$queueWaitTime = new Histogram();
+		/**
+		 * Holds the state of the circuit breaker. The circuit breaker is open
+		 * when `openedAt` is set.
+		 */
+		this.$circuit = {
+			failures : 0,
+			openedAt : null,
+			probing  : false
+		};
+		/**
+		 * Holds the number of milliseconds queries took to execute.
+		 */
+		this.$queryTime = new Histogram();
 
-		if (this.scaleInterval && this.connectionDecay) {
+		if (!this.scalingStrategy) {
+			this.scalingStrategy = new ScalingStrategy();
+		}
+
+		if (this.scaleInterval) {
 			this.$scaleInterval = setInterval(this.$onScaleInterval.bind(this), this.scaleInterval);
 		}
 
+		if (this.keepAliveInterval) {
+			this.$keepAliveInterval = setInterval(this.$onKeepAliveInterval.bind(this), this.keepAliveInterval);
+		}
+
+		if (this.schedule) {
+			/**
+			 * The configured limits used outside of every window of the schedule.
+			 */
+			this.$baseLimits = {};
+
+			scheduleLimits.forEach(name => {
+				this.$baseLimits[ name ] = this[ name ];
+			});
+
+			this.$schedule         = new Schedule(this.schedule);
+			this.$scheduleInterval = setInterval(this.$applySchedule.bind(this), scheduleCheckInterval);
+
+			this.$applySchedule();
+		}
+
 		if (this.bufferOnConstruct) {
-			this.$maybeBufferConnection();
+			this.$scale('acquire');
 		}
 	}
 
@@ -156,43 +574,150 @@ class Pool {
 	 * If no connections are free and the {@link #maxConnectionLimit}
 	 * has not been reached, a connection will be created and connected to.
 	 *
+	 * If the {@link #maxConnectionLimit} has been reached, this waits in the
+	 * same queue as queries for a connection to be released. The wait is
+	 * limited by the {@link #queueLimit} and the {@link #queueTimeout} or, when
+	 * no queue timeout is configured, the {@link #acquireTimeout}.
+	 *
+	 * The connection is busy until it is released.
+	 *
+	 * @param {Object} [options] Options for how the pool acquires the connection.
+	 * @param {*} [options.key] Identifies who the connection is for, such as a
+	 * tenant, for the {@link #maxConcurrentPerKey} and {@link #maxQueuedPerKey}.
+	 * @param {Number} [options.priority=0] The priority in the queue, a connection
+	 * is handed to the queued entry with the highest priority first.
+	 * @param {Number} [options.queueTimeout] Overrides the number of milliseconds
+	 * to wait in the queue for a connection.
+	 * @param {AbortSignal} [options.signal] A signal to stop waiting in the queue.
+	 *
 	 * @returns {Promise}
 	 */
-	getConnection () {
-		return new Promise((resolve, reject) => {
-			if (this.$closed) {
-				return reject(new Error('This pool is closed'));
-			}
+	getConnection (options = {}) {
+		/**
+		 * Capture the stack here as the caller is lost once acquired.
+		 */
+		const stack = this.leakDetectionThreshold ? new Error('Connection acquired').stack : null;
 
-			if (this.$freeConnections.size) {
-				/**
-				 * We have free connections, use one.
-				 */
-				let connection = this.$first(this.$freeConnections);
+		return this
+			.$acquire(Object.assign({
+				queueTimeout : this.queueTimeout || this.acquireTimeout
+			}, options))
+			.then((connection) => {
+				this.$scale('acquire');
+
+				if (stack) {
+					this.$watchLeak(connection, stack);
+				}
+
+				return connection;
+			});
+	}
+
+	/**
+	 * Runs the callback with a connection from {@link #getConnection} and always
+	 * returns the connection to this pool once the callback settles. If the
+	 * callback throws a fatal connection error, the connection is destroyed
+	 * instead. The connection is busy while the callback runs so no other query
+	 * can use it.
+	 *
+	 *     const user = await pool.withConnection(async (connection) => {
+	 *         // run several statements on the same connection
+	 *     });
+	 *
+	 * @param {Function} callback The function that receives the connection and
+	 * can return a promise. This resolves with what the callback resolves with.
+	 * @param {Object} [options] The options passed to {@link #getConnection}.
+	 *
+	 * @returns {Promise}
+	 */
+	withConnection (callback, options) {
+		return this
+			.getConnection(options)
+			.then((connection) => {
+				const uses = connection.$uses;
 
-				resolve(connection);
-			} else if (this.$connections.size < this.maxConnectionLimit) {
 				/**
-				 * We have no free connections and we haven't reached
-				 * the maxConnectionLimit so create and connect one.
+				 * The callback may have released the connection already
+				 * and it may have been handed out again.
 				 */
-				const connection = this.$createConnection();
+				const isHeld = () => connection.$uses === uses && this.$busyConnections.has(connection);
 
-				this
-					.$connectConnection(connection)
-					.then(resolve)
-					.catch((error) => {
-						this.$removeConnection(connection);
+				return new Promise(resolve => resolve(callback(connection)))
+					.then((result) => {
+						if (isHeld()) {
+							this.$releaseConnection(connection);
+						}
 
-						reject(error);
+						return result;
+					}, (error) => {
+						if (error && error.fatal) {
+							this.$removeConnection(connection);
+
+							connection.destroy();
+						} else if (isHeld()) {
+							this.$releaseConnection(connection);
+						}
+
+						throw error;
 					});
-			} else {
-				/**
-				 * We reached the maxConnectionLimit so we cannot
-				 * create a new one.
-				 */
-				reject(new Error('No connections available'));
-			}
+			});
+	}
+
+	/**
+	 * Returns the number of connections in each state along with the
+	 * number of queued queries at this moment.
+	 *
+	 * @returns {Object} An object with the `total`, `busy`, `free`,
+	 * `buffering` and `queued` counts. All counts are `0` once the pool
+	 * has been closed.
+	 */
+	getCounts () {
+		if (this.$closed || !this.$connections) {
+			return {
+				busy      : 0,
+				buffering : 0,
+				free      : 0,
+				queued    : 0,
+				total     : 0
+			};
+		}
+
+		return {
+			busy      : this.$busyConnections.size,
+			buffering : this.$bufferQueue.size,
+			free      : this.$freeConnections.size,
+			queued    : this.$queryQueue.size,
+			total     : this.$connections.size
+		};
+	}
+
+	/**
+	 * Returns the current counts (see {@link #getCounts}) along with running
+	 * totals and histograms of queue wait time and query execution time.
+	 *
+	 * @returns {Object} The statistics of this pool:
+	 *
+	 * - `total`, `busy`, `free`, `buffering`, `queued` The current counts.
+	 * - `acquisitions` The number of times a connection has been handed out.
+	 * - `connectionsCreated` The number of connections that have been created.
+	 * - `connectionsDestroyed` The number of connections that have been removed.
+	 * - `queries` The number of queries that have been executed.
+	 * - `queriesFailed` The number of queries that resulted in an error.
+	 * - `queueRejections` The number of queries rejected due to the {@link #queueLimit}
+	 * or the {@link #maxQueuedPerKey}.
+	 * - `scaleDowns` The number of connections that have been scaled down.
+	 * - `timeouts` The number of connections that timed out connecting and
+	 * queries that timed out waiting in the queue or running.
+	 * - `queueWaitTime` The milliseconds queued queries waited on a connection,
+	 * includes the `count`, `sum`, `mean`, `min`, `max`, `p50`, `p90`, `p95`, `p99`
+	 * and the cumulative `buckets`.
+	 * - `queryTime` The milliseconds queries took to execute in the same shape
+	 * as `queueWaitTime`.
+	 */
+	getStats () {
+		return Object.assign(this.getCounts(), this.$stats, {
+			queueWaitTime : this.$queueWaitTime.toJSON(),
+			queryTime     : this.$queryTime.toJSON()
 		});
 	}
 
@@ -201,55 +726,186 @@ class Pool {
 	 * @param {Array} values The values to replace in the placeholders
 	 * in the SQL statement.
 	 *
+	 * @param {Object} [options] Options for how the pool handles the query.
+	 * @param {*} [options.key] Identifies who the query is for, such as a tenant.
+	 * Queued queries with the same priority are taken from the keys in turn so one
+	 * key cannot take every connection. Please see {@link #maxConcurrentPerKey}
+	 * and {@link #maxQueuedPerKey}.
+	 * @param {Number} [options.priority=0] The priority of the query in the queue.
+	 * When a connection is released, it is handed to the queued query with the
+	 * highest priority, queries with the same priority are handed connections in
+	 * the order they were queued. Please see {@link #queueAgingInterval}.
+	 * @param {Number} [options.queueTimeout] Overrides the {@link #queueTimeout}
+	 * config for this query.
+	 * @param {AbortSignal} [options.signal] A signal to cancel the query. An aborted
+	 * query is rejected with an `AbortError`. A queued query is removed from the queue
+	 * and a running query is stopped on the server with `KILL QUERY` sent from a
+	 * separate connection.
+	 * @param {Number} [options.timeout] The maximum number of milliseconds the query
+	 * can run on the connection. Once passed, the query is rejected with an error with
+	 * the `POOL_QUERY_TIMEOUT` code and stopped on the server with `KILL QUERY` sent
+	 * from a separate connection. The connection is released once the query returns.
+	 *
 	 * See [Performing Queries](https://www.npmjs.com/package/mysql#performing-queries)
 	 * for more on querying.
 	 *
 	 * @returns {Promise}
 	 */
-	query (sql, values) {
-		return new Promise((resolve, reject) => {
-			if (this.$closed) {
-				reject(new Error('This pool is closed'));
-			} else if (this.$freeConnections.size === 0 && this.$connections.size >= this.maxConnectionLimit) {
-				/**
-				 * We have no free connections to work with and have reached the
-				 * maxConnectionLimit so we have to see if we can queue the query.
-				 */
-				if (this.$queryQueue.size < this.queueLimit) {
-					/**
-					 * Great, we can queue the query. This will then be run
-					 * and resolved/rejected when a connection is released.
-					 */
-					this.$add(this.$queryQueue, {
-						reject,
-						resolve,
-						sql,
-						values
-					}, true);
-				} else {
-					/**
-					 * Hopefully this never happens. We cannot queue a query and will fail
-					 * the attempt.
-					 */
-					reject(new Error('Query queue is full'));
-				}
-			} else {
-				/**
-				 * All is good in the world, let's get a connection and execute the query.
-				 */
-				this
-					.getConnection()
-					.then(this.$useConnection.bind(this))
-					.then((connection) => {
-						this.$maybeBufferConnection();
-
-						return connection;
-					})
-					.then(connection => this.$query(connection, sql, values))
-					.then(resolve)
-					.catch(reject);
-			}
+	query (sql, values, options = {}) {
+		return this
+			.$acquire(options)
+			.then((connection) => {
+				this.$scale('acquire');
+
+				return this.$intercept(connection, sql, values, options);
+			});
+	}
+
+	/**
+	 * Adds a middleware that wraps the execution of every {@link #query},
+	 * including queries that were queued. Middleware run in the order they were
+	 * added once the query has a connection, each receiving a context and a `next`
+	 * function that runs the rest of the chain and resolves with the results:
+	 *
+	 *     pool.use(async (ctx, next) => {
+	 *         ctx.sql = `/* request:${requestId} *\/ ${ctx.sql}`;
+	 *
+	 *         return next();
+	 *     });
+	 *
+	 * The context holds the `sql`, `values` and `options` of the query, which can
+	 * be changed before calling `next`, along with the `connection` and the `pool`.
+	 * A middleware can resolve with its own result without calling `next`, in which
+	 * case the query is not executed and the connection is released.
+	 *
+	 * @param {Function} middleware The function receiving the context and `next`,
+	 * its return value is the result of the query.
+	 * @returns {Pool} This pool for chaining.
+	 */
+	use (middleware) {
+		if (typeof middleware !== 'function') {
+			throw new Error('A middleware must be a function');
+		}
+
+		this.$middleware.push(middleware);
+
+		return this;
+	}
+
+	/**
+	 * Executes a query and streams the rows instead of buffering the whole
+	 * result set. The connection is paused while the stream is full and is
+	 * released once the query ends or errors. If the stream is destroyed early,
+	 * the query is stopped on the server with `KILL QUERY` sent from a separate
+	 * connection and the connection is released once the query ends and the
+	 * kill has finished.
+	 *
+	 *     for await (const row of pool.stream('SELECT * FROM big_table')) {
+	 *         // handle the row
+	 *     }
+	 *
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Object} [options] Options for how the pool handles the query. The
+	 * queue options of {@link #query} are also supported.
+	 * @param {Number} [options.highWaterMark=16] The number of rows to buffer before
+	 * the connection is paused.
+	 *
+	 * @returns {stream.Readable} An object mode stream of the rows which can also be
+	 * used as an async iterator. The `fields` event is fired with the fields of the
+	 * result set.
+	 */
+	stream (sql, values, options = {}) {
+		const output = new PassThrough({
+			highWaterMark : options.highWaterMark,
+			objectMode    : true
 		});
+
+		this
+			.$acquire(options)
+			.then((connection) => {
+				this.$scale('acquire');
+
+				this.$stream(connection, sql, values, options, output);
+			}, error => output.destroy(error));
+
+		return output;
+	}
+
+	/**
+	 * Runs the callback within a transaction on a connection from this pool.
+	 * The transaction is committed when the callback resolves and rolled back
+	 * when the callback throws or rejects. The connection is then released or,
+	 * if the rollback fails, destroyed.
+	 *
+	 *     const id = await pool.transaction((connection) => {
+	 *         // run statements on the connection
+	 *     }, {
+	 *         isolationLevel : 'SERIALIZABLE',
+	 *         retries        : 3
+	 *     });
+	 *
+	 * @param {Function} callback The function to run within the transaction. It
+	 * receives the connection and can return a promise. The transaction resolves
+	 * with what the callback resolves with.
+	 * @param {Object} [options] Options for the transaction. These are also
+	 * passed to {@link #getConnection}.
+	 * @param {String} [options.isolationLevel] The isolation level of the transaction,
+	 * one of `READ UNCOMMITTED`, `READ COMMITTED`, `REPEATABLE READ` or `SERIALIZABLE`.
+	 * @param {Boolean} [options.readOnly=false] Whether to start a read only transaction.
+	 * @param {Number} [options.retries=0] The number of times to retry the transaction
+	 * when it fails from a deadlock (`ER_LOCK_DEADLOCK`) or a lock wait timeout
+	 * (`ER_LOCK_WAIT_TIMEOUT`). The callback is executed again for each retry.
+	 * @param {Number} [options.retryDelay=50] The number of milliseconds to wait before
+	 * the first retry. The delay doubles for each following retry.
+	 * @param {PoolConnection} [options.connection] The connection to run the transaction
+	 * on instead of getting one from this pool. The connection will not be released.
+	 * If the connection is already within a transaction, a nested transaction is created
+	 * using a `SAVEPOINT` which is released when the callback resolves and rolled back to
+	 * when the callback throws, the outer transaction can then carry on. The other options
+	 * do not apply to nested transactions.
+	 *
+	 * @returns {Promise}
+	 */
+	transaction (callback, options = {}) {
+		const { connection } = options;
+
+		if (options.isolationLevel && isolationLevels.indexOf(options.isolationLevel) === -1) {
+			return Promise.reject(new Error(`Unknown isolation level: ${options.isolationLevel}`));
+		}
+
+		if (connection) {
+			return connection.$transactionDepth ?
+				this.$savepoint(connection, callback) :
+				this.$transaction(connection, callback, options, {});
+		}
+
+		return this
+			.getConnection(options)
+			.then((connection) => {
+				const state = {
+					rollbackFailed : false
+				};
+
+				return this
+					.$transaction(connection, callback, options, state)
+					.then((result) => {
+						this.$releaseConnection(connection);
+
+						return result;
+					}, (error) => {
+						if (state.rollbackFailed) {
+							this.$removeConnection(connection);
+
+							connection.destroy();
+						} else {
+							this.$releaseConnection(connection);
+						}
+
+						throw error;
+					});
+			});
 	}
 
 	/**
@@ -278,21 +934,30 @@ class Pool {
 
 	/**
 	 * @private
-	 * Create a connection using {@link #connectionConfig}.
+	 * Create a connection using {@link #connectionConfig}. When the config has
+	 * `hosts`, the connection uses the host from {@link #$selectHost}.
 	 *
 	 * @returns {PoolConnection}
 	 */
 	$createConnection () {
 		let config           = this.$connectionConfig,
-			connectionConfig = new ConnectionConfig(config);
+			connectionConfig = new ConnectionConfig(config),
+			host             = this.$selectHost();
 
 		connectionConfig.clientFlags   = config.clientFlags;
 		connectionConfig.maxPacketSize = config.maxPacketSize;
 
+		if (host) {
+			connectionConfig.host = host.host;
+			connectionConfig.port = host.port;
+		}
+
 		const connection = new this.connectionClass(this, {
 			config : connectionConfig
 		});
 
+		connection.$host = host;
+
 		this.$add(this.$connections, connection);
 
 		return connection;
@@ -300,171 +965,1337 @@ class Pool {
 
 	/**
 	 * @private
-	 * Triggers a connection to open a socket to the database.
+	 * Acquires a connection to use. A free connection will be used first,
+	 * a connection will be created if the {@link #maxConnectionLimit} has not
+	 * been reached or will be queued waiting on a connection to be released.
 	 *
-	 * @returns {PoolConnection}
+	 * @param {Object} options The options of the query or {@link #getConnection}.
+	 * @returns {Promise}
 	 */
-	$connectConnection (connection) {
+	$acquire (options) {
 		return new Promise((resolve, reject) => {
-			this.$add(this.$busyConnections, connection);
+			const atKeyLimit = this.$isKeyAtLimit(options.key);
 
-			connection.connect(
-				{
-					timeout : this.acquireTimeout
-				},
-				(error) => {
-					this.$releaseConnection(connection);
+			if (this.$closed) {
+				reject(new Error('This pool is closed'));
+			} else if (options.signal && options.signal.aborted) {
+				reject(createAbortError());
+			} else if (this.$freeConnections.size && !atKeyLimit) {
+				/**
+				 * We have free connections, use one.
+				 */
+				const connection = this.$first(this.$freeConnections);
 
-					if (this.$closed) {
-						reject(new Error('This pool is closed'));
-					} else if (error) {
-						reject(error);
-					} else {
-						resolve(connection);
-					}
-				}
+				if (this.$needsValidation(connection)) {
+					/**
+					 * Keep the connection busy while validating so it does not get
+					 * handed out elsewhere. If it is not valid, remove it and try again.
+					 */
+					this.$useConnection(connection);
+
+					this
+						.$validateConnection(connection)
+						.then(
+							() => resolve(this.$handOut(connection, options)),
+							() => {
+								this.$removeConnection(connection);
+
+								connection.destroy();
+
+								resolve(this.$acquire(options));
+							}
+						);
+				} else {
+					resolve(this.$handOut(connection, options));
+				}
+			} else if (this.$connections.size < this.maxConnectionLimit && !atKeyLimit) {
+				/**
+				 * We have no free connections and we haven't reached
+				 * the maxConnectionLimit so create and connect one.
+				 */
+				this
+					.$openConnection()
+					.then(connection => resolve(this.$handOut(connection, options)))
+					.catch(reject);
+			} else if (this.$queryQueue.size < this.queueLimit && !this.$isKeyQueueFull(options.key)) {
+				/**
+				 * We reached the maxConnectionLimit, or the key reached the
+				 * maxConcurrentPerKey, so we cannot create a new one. Great, we
+				 * can queue. The connection will be handed over when a connection
+				 * is released.
+				 */
+				this.$enqueue({
+					options,
+					priority : Number(options.priority) || 0,
+					queuedAt : new Date().getTime(),
+					reject,
+					resolve
+				});
+			} else {
+				/**
+				 * Hopefully this never happens. We cannot queue and will fail
+				 * the attempt.
+				 */
+				this.$stats.queueRejections++;
+
+				if (this.$queryQueue.size < this.queueLimit) {
+					reject(createError(
+						`Too many queries are queued for the key: ${options.key}`,
+						'POOL_KEY_LIMIT'
+					));
+				} else {
+					reject(new Error('Query queue is full'));
+				}
+			}
+		});
+	}
+
+	/**
+	 * @private
+	 * Marks a connection as busy and hands it out to be used.
+	 *
+	 * @param {PoolConnection} connection The connection to hand out.
+	 * @param {Object} [options] The options of the query or {@link #getConnection}.
+	 * @param {Number} [queueTime=0] The number of milliseconds waited in the queue.
+	 * @returns {PoolConnection}
+	 */
+	$handOut (connection, options = {}, queueTime = 0) {
+		this.$useConnection(connection);
+
+		connection.$queueTime = queueTime;
+		connection.$uses      = (connection.$uses || 0) + 1;
+
+		if (options.key !== undefined) {
+			connection.$key = options.key;
+
+			this.$keyConnections.set(options.key, (this.$keyConnections.get(options.key) || 0) + 1);
+		}
+
+		this.$stats.acquisitions++;
+
+		this.$emit('acquire', connection);
+
+		return connection;
+	}
+
+	/**
+	 * @private
+	 * Fires the `leak` event if the connection is not released within the
+	 * {@link #leakDetectionThreshold}. The connection is destroyed if
+	 * {@link #reclaimLeaks} is enabled.
+	 *
+	 * @param {PoolConnection} connection The connection that was handed out.
+	 * @param {String} stack The stack trace of where the connection was acquired.
+	 */
+	$watchLeak (connection, stack) {
+		const acquiredAt = new Date().getTime();
+
+		connection.$leakTimer = setTimeout(() => {
+			connection.$leakTimer = null;
+
+			/**
+			 * The timer and `Date` use different clocks, the timer firing
+			 * means the connection was held for at least the threshold.
+			 */
+			this.$emit('leak', connection, {
+				heldFor   : Math.max(new Date().getTime() - acquiredAt, this.leakDetectionThreshold),
+				reclaimed : this.reclaimLeaks,
+				stack
+			});
+
+			if (this.reclaimLeaks) {
+				this.$removeConnection(connection);
+
+				connection.destroy();
+
+				this.$serveQueue();
+
+				if (this.$connections.size < this.minConnectionLimit) {
+					this.$bufferConnection().catch(() => {});
+				}
+			}
+		}, this.leakDetectionThreshold);
+	}
+
+	/**
+	 * @private
+	 * Stops watching a connection for a leak.
+	 *
+	 * @param {PoolConnection} connection
+	 */
+	$unwatchLeak (connection) {
+		if (connection.$leakTimer) {
+			clearTimeout(connection.$leakTimer);
+
+			connection.$leakTimer = null;
+		}
+	}
+
+	/**
+	 * @private
+	 * Stops counting a connection towards the `key` option it was handed out for.
+	 *
+	 * @param {PoolConnection} connection
+	 */
+	$releaseKey (connection) {
+		const key = connection.$key;
+
+		if (key !== undefined) {
+			const count = this.$keyConnections.get(key) - 1;
+
+			if (count > 0) {
+				this.$keyConnections.set(key, count);
+			} else {
+				this.$keyConnections.delete(key);
+			}
+
+			connection.$key = undefined;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {*} key The `key` option.
+	 * @returns {Boolean} Whether the key has been handed out the
+	 * {@link #maxConcurrentPerKey} connections.
+	 */
+	$isKeyAtLimit (key) {
+		return key !== undefined && (this.$keyConnections.get(key) || 0) >= this.maxConcurrentPerKey;
+	}
+
+	/**
+	 * @private
+	 * @param {*} key The `key` option.
+	 * @returns {Boolean} Whether the key has the {@link #maxQueuedPerKey} queued.
+	 */
+	$isKeyQueueFull (key) {
+		if (key === undefined || this.maxQueuedPerKey === Infinity) {
+			return false;
+		}
+
+		let queued = 0;
+
+		this.$queryQueue.forEach(item => {
+			if (item.options.key === key) {
+				queued++;
+			}
+		});
+
+		return queued >= this.maxQueuedPerKey;
+	}
+
+	/**
+	 * @private
+	 * Determines if a connection has to be validated before being handed out
+	 * based on the {@link #validateOnBorrow} and {@link #validationInterval} configs.
+	 *
+	 * @param {PoolConnection} connection
+	 * @returns {Boolean}
+	 */
+	$needsValidation (connection) {
+		if (!this.validateOnBorrow) {
+			return false;
+		}
+
+		const lastValidated = connection.$lastValidated;
+
+		return !lastValidated || new Date().getTime() - lastValidated >= this.validationInterval;
+	}
+
+	/**
+	 * @private
+	 * Validates a connection by pinging it or executing the {@link #validationQuery}.
+	 *
+	 * @param {PoolConnection} connection The connection to validate.
+	 * @returns {Promise} Resolves with the connection if valid.
+	 */
+	$validateConnection (connection) {
+		return new Promise((resolve, reject) => {
+			const callback = (error) => {
+				if (error) {
+					reject(error);
+				} else {
+					connection.$lastValidated = new Date().getTime();
+
+					resolve(connection);
+				}
+			};
+
+			if (this.validationQuery) {
+				connection.query({
+					sql     : this.validationQuery,
+					timeout : this.acquireTimeout
+				}, callback);
+			} else {
+				connection.ping({
+					timeout : this.acquireTimeout
+				}, callback);
+			}
+		});
+	}
+
+	/**
+	 * @private
+	 * Creates a connection and connects it to the database. If the
+	 * connection fails to connect, it will be removed from this pool and
+	 * retried with a new connection up to {@link #connectRetries} times.
+	 * The connection will be busy once connected.
+	 *
+	 * While the circuit breaker is open, this fails fast without creating a
+	 * connection unless it is time to let a probe connection through.
+	 *
+	 * When the {@link #connectionConfig} has `hosts`, a failed host is skipped
+	 * and the next host is tried right away before counting as a retry.
+	 *
+	 * @param {Set} [set] A set to hold the connection in while it connects.
+	 * @param {Number} [attempt=0] The number of attempts that have failed.
+	 * @param {Number} [hostAttempt=0] The number of hosts that have failed
+	 * within this attempt.
+	 * @returns {Promise}
+	 */
+	$openConnection (set, attempt = 0, hostAttempt = 0) {
+		const circuitError = this.$checkCircuit();
+
+		if (circuitError) {
+			return Promise.reject(circuitError);
+		}
+
+		const connection = this.$createConnection();
+
+		connection.$createdAt = new Date().getTime();
+
+		this.$stats.connectionsCreated++;
+
+		this.$emit('create', connection);
+
+		if (set) {
+			this.$add(set, connection);
+		}
+
+		return this
+			.$connectConnection(connection)
+			.then(() => {
+				connection.$lastValidated = new Date().getTime();
+
+				if (connection.$host) {
+					connection.$host.failedAt = null;
+				}
+
+				this.$closeCircuit();
+
+				this.$emit('connect', connection);
+
+				return connection;
+			})
+			.catch((error) => {
+				if (error.code === 'PROTOCOL_SEQUENCE_TIMEOUT') {
+					this.$stats.timeouts++;
+				}
+
+				this.$removeConnection(connection);
+
+				this.$emitError(error, connection);
+
+				if (this.$closed) {
+					throw error;
+				}
+
+				this.$failCircuit();
+
+				if (connection.$host) {
+					connection.$host.failedAt = new Date().getTime();
+
+					if (hostAttempt + 1 < this.$hosts.length && this.$connections.size < this.maxConnectionLimit) {
+						return this.$openConnection(set, attempt, hostAttempt + 1);
+					}
+				}
+
+				if (attempt < this.connectRetries) {
+					return delay(this.$connectRetryDelay(attempt)).then(() => {
+						if (this.$closed || this.$connections.size >= this.maxConnectionLimit) {
+							throw error;
+						}
+
+						return this.$openConnection(set, attempt + 1);
+					});
+				}
+
+				throw error;
+			});
+	}
+
+	/**
+	 * @private
+	 * Selects the host for a new connection from the `hosts` of the
+	 * {@link #connectionConfig} using the {@link #hostSelection}.
+	 *
+	 * @returns {Object} The host, `null` if the config has no `hosts`.
+	 */
+	$selectHost () {
+		const hosts = this.$hosts;
+
+		if (!hosts) {
+			return null;
+		}
+
+		const now       = new Date().getTime();
+		const available = hosts.filter(host =>
+			host.failedAt === null || (this.failbackTimeout && now - host.failedAt >= this.failbackTimeout)
+		);
+
+		if (!available.length) {
+			return hosts.reduce((oldest, host) => host.failedAt < oldest.failedAt ? host : oldest);
+		}
+
+		if (this.hostSelection === 'spread') {
+			return available[ this.$hostSelections++ % available.length ];
+		}
+
+		return available[ 0 ];
+	}
+
+	/**
+	 * @private
+	 * Calculates the jittered exponential backoff before retrying to connect.
+	 *
+	 * @param {Number} attempt The number of attempts that have failed.
+	 * @returns {Number} The number of milliseconds to wait.
+	 */
+	$connectRetryDelay (attempt) {
+		const backoff = Math.min(this.connectRetryMaxDelay, this.connectRetryDelay * Math.pow(2, attempt));
+
+		return backoff / 2 + Math.random() * backoff / 2;
+	}
+
+	/**
+	 * @private
+	 * Checks the circuit breaker before a connection is created. When the
+	 * circuit breaker has been open for the {@link #circuitBreakerTimeout},
+	 * a single probe connection is let through.
+	 *
+	 * @returns {Error} The error to fail with if the circuit breaker is open.
+	 */
+	$checkCircuit () {
+		const circuit = this.$circuit;
+
+		if (circuit.openedAt === null) {
+			return null;
+		}
+
+		if (!circuit.probing && new Date().getTime() - circuit.openedAt >= this.circuitBreakerTimeout) {
+			circuit.probing = true;
+
+			return null;
+		}
+
+		return createError('The circuit breaker is open, connections cannot be created', 'POOL_CIRCUIT_OPEN');
+	}
+
+	/**
+	 * @private
+	 * Records a failed connection attempt and opens the circuit breaker once
+	 * the {@link #circuitBreakerThreshold} has been reached or a probe failed.
+	 */
+	$failCircuit () {
+		const circuit = this.$circuit;
+
+		circuit.failures++;
+
+		if (this.circuitBreakerThreshold && (circuit.probing || circuit.failures >= this.circuitBreakerThreshold)) {
+			const wasOpen = circuit.openedAt !== null;
+
+			circuit.openedAt = new Date().getTime();
+			circuit.probing  = false;
+
+			if (!wasOpen) {
+				this.$emit('circuitOpen', null);
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * Records a successful connection and closes the circuit breaker if open.
+	 */
+	$closeCircuit () {
+		const circuit = this.$circuit;
+
+		circuit.failures = 0;
+
+		if (circuit.openedAt !== null) {
+			circuit.openedAt = null;
+			circuit.probing  = false;
+
+			this.$emit('circuitClose', null);
+		}
+	}
+
+	/**
+	 * @private
+	 * Triggers a connection to open a socket to the database. The connection
+	 * is busy while it is connecting.
+	 *
+	 * @returns {PoolConnection}
+	 */
+	$connectConnection (connection) {
+		return new Promise((resolve, reject) => {
+			this.$add(this.$busyConnections, connection);
+
+			connection.connect(
+				{
+					timeout : this.acquireTimeout
+				},
+				(error) => {
+					if (this.$closed) {
+						reject(new Error('This pool is closed'));
+					} else if (error) {
+						reject(error);
+					} else {
+						resolve(connection);
+					}
+				}
 			);
 		});
 	}
 
 	/**
-	 * Handler to cleanup when a pool has been ended either from the
-	 * {@link #end} or {@link #destroy} methods from being executed.
+	 * Handler to cleanup when a pool has been ended either from the
+	 * {@link #end} or {@link #destroy} methods from being executed.
+	 *
+	 * @param {*} arg Any argument possibly from a promise.
+	 *
+	 * @returns {*} The argument that was passed to this method.
+	 */
+	$onEnd (arg) {
+		this.$closed = true;
+
+		this.$queryQueue.forEach(item => this.$settleQueued(item).reject(new Error('This pool is closed')));
+		this.$connections.forEach(connection => this.$unwatchLeak(connection));
+
+		this
+			.$clear(this.$connections)
+			.$clear(this.$busyConnections)
+			.$clear(this.$freeConnections)
+			.$clear(this.$bufferQueue)
+			.$clear(this.$queryQueue);
+
+		this.$scaleInterval && clearInterval(this.$scaleInterval);
+		this.$keepAliveInterval && clearInterval(this.$keepAliveInterval);
+		this.$scheduleInterval && clearInterval(this.$scheduleInterval);
+
+		this.$connectionConfig      =
+			this.$connections       =
+			this.$busyConnections   =
+			this.$freeConnections   =
+			this.$queryQueue        =
+			this.$bufferQueue       =
+			this.$scaleInterval     =
+			this.$keepAliveInterval =
+			this.$scheduleInterval  =
+			this.connectionClass    =
+			null;
+
+		this.$emit('end', null);
+
+		return arg;
+	}
+
+	/**
+	 * @private
+	 * Gracefully releases and then destroys the connection.
+	 *
+	 * @returns {Promise}
+	 */
+	$endConnection (connection) {
+		return connection
+			.release()
+			.then(connection => {
+				connection.destroy();
+
+				return connection;
+			});
+	}
+
+	/**
+	 * @private
+	 * Non-gracefully destroys a connection.
+	 *
+	 * @returns {Promise}
+	 */
+	$destroyConnection (connection) {
+		return connection.destroy();
+	}
+
+	/**
+	 * @private
+	 * Creates the `Query` instance that will be executed by the `PoolConnection`.
+	 *
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Function} callback The callback function when the query has been executed.
+	 *
+	 * @returns {Query}
+	 */
+	$createQuery (sql, values, callback) {
+		const query = Connection.createQuery(sql, values, callback);
+
+		if (!(typeof sql === 'object' && 'typeCast' in sql)) {
+			query.typeCast = this.connectionConfig.typeCast;
+		}
+
+		if (this.connectionConfig.trace) {
+			// Long stack trace support
+			query._callSite = new Error();
+		}
+
+		return query;
+	}
+
+	/**
+	 * @private
+	 * Runs the callback within a transaction and retries the transaction
+	 * when it fails on a deadlock or lock wait timeout.
+	 *
+	 * @param {PoolConnection} connection The connection to run the transaction on.
+	 * @param {Function} callback The function to run within the transaction.
+	 * @param {Object} options The options of the transaction.
+	 * @param {Object} state Tracks the attempts and whether the rollback failed.
+	 *
+	 * @returns {Promise}
+	 */
+	$transaction (connection, callback, options, state) {
+		const attempt = state.attempt || 0;
+
+		return this
+			.$beginTransaction(connection, options)
+			.then(() => {
+				connection.$transactionDepth = 1;
+
+				return callback(connection);
+			})
+			.then((result) => {
+				connection.$transactionDepth = 0;
+
+				return this.$execute(connection, 'COMMIT').then(() => result);
+			})
+			.catch((error) => {
+				connection.$transactionDepth = 0;
+
+				return this
+					.$execute(connection, 'ROLLBACK')
+					.then(() => {
+						const retries = options.retries || 0;
+
+						if (error && retryableTransactionErrors.indexOf(error.code) !== -1 && attempt < retries) {
+							state.attempt = attempt + 1;
+
+							return delay((options.retryDelay === undefined ? 50 : options.retryDelay) * Math.pow(2, attempt))
+								.then(() => this.$transaction(connection, callback, options, state));
+						}
+
+						throw error;
+					}, () => {
+						state.rollbackFailed = true;
+
+						throw error;
+					});
+			});
+	}
+
+	/**
+	 * @private
+	 * Runs the callback within a nested transaction using a `SAVEPOINT`.
+	 *
+	 * @param {PoolConnection} connection The connection that is within a transaction.
+	 * @param {Function} callback The function to run within the nested transaction.
+	 *
+	 * @returns {Promise}
+	 */
+	$savepoint (connection, callback) {
+		const depth     = connection.$transactionDepth;
+		const savepoint = `sp_${depth}`;
+
+		return this
+			.$execute(connection, `SAVEPOINT ${savepoint}`)
+			.then(() => {
+				connection.$transactionDepth = depth + 1;
+
+				return callback(connection);
+			})
+			.then((result) => {
+				connection.$transactionDepth = depth;
+
+				return this
+					.$execute(connection, `RELEASE SAVEPOINT ${savepoint}`)
+					.then(() => result);
+			}, (error) => {
+				connection.$transactionDepth = depth;
+
+				const rethrow = () => {
+					throw error;
+				};
+
+				return this
+					.$execute(connection, `ROLLBACK TO SAVEPOINT ${savepoint}`)
+					.then(rethrow, rethrow);
+			});
+	}
+
+	/**
+	 * @private
+	 * Starts a transaction on the connection.
+	 *
+	 * @param {PoolConnection} connection The connection to start the transaction on.
+	 * @param {Object} options The options of the transaction.
+	 *
+	 * @returns {Promise}
+	 */
+	$beginTransaction (connection, options) {
+		const start = () => this.$execute(connection, options.readOnly ? 'START TRANSACTION READ ONLY' : 'START TRANSACTION');
+
+		if (options.isolationLevel) {
+			return this
+				.$execute(connection, `SET TRANSACTION ISOLATION LEVEL ${options.isolationLevel}`)
+				.then(start);
+		}
+
+		return start();
+	}
+
+	/**
+	 * @private
+	 * Runs the middleware around the query. The connection is released if no
+	 * middleware called `next` to execute the query.
+	 *
+	 * @param {PoolConnection} connection The connection that will execute the query.
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Object} options The options of the query.
+	 *
+	 * @returns {Promise}
+	 */
+	$intercept (connection, sql, values, options) {
+		const middleware = this.$middleware.slice();
+		const ctx        = {
+			connection,
+			options,
+			pool : this,
+			sql,
+			values
+		};
+
+		let executed = false,
+			index    = -1;
+
+		const dispatch = (i) => {
+			if (i <= index) {
+				return Promise.reject(new Error('next() was called multiple times'));
+			}
+
+			index = i;
+
+			if (i === middleware.length) {
+				executed = true;
+
+				return this.$query(connection, ctx.sql, ctx.values, ctx.options);
+			}
+
+			return new Promise(resolve => resolve(middleware[ i ](ctx, () => dispatch(i + 1))));
+		};
+
+		const release = () => {
+			if (!executed) {
+				this.$releaseConnection(connection);
+			}
+		};
+
+		return dispatch(0)
+			.then((results) => {
+				release();
+
+				return results;
+			}, (error) => {
+				release();
+
+				throw error;
+			});
+	}
+
+	/**
+	 * @private
+	 * Do the actual querying and release the connection once done.
+	 *
+	 * If the query runs longer than the `timeout` option or the `signal` option
+	 * is aborted, it is rejected and killed on the server. The connection is
+	 * released once the query has returned and the kill has finished so the
+	 * kill cannot hit another query.
+	 *
+	 * @param {PoolConnection} connection The connection that will execute the query.
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Object} [options] The options of the query.
+	 *
+	 * @returns {Promise}
+	 */
+	$query (connection, sql, values, options = {}) {
+		const { signal } = options;
+
+		if (signal && signal.aborted) {
+			this.$releaseConnection(connection);
+
+			return Promise.reject(createAbortError());
+		}
+
+		return new Promise((resolve, reject) => {
+			let killing, onAbort, timer;
+
+			const kill = (error) => {
+				if (!killing) {
+					killing = this.$killQuery(connection);
+				}
+
+				reject(error);
+			};
+
+			const done = () => {
+				clearTimeout(timer);
+
+				if (onAbort) {
+					signal.removeEventListener('abort', onAbort);
+				}
+
+				if (killing) {
+					killing.then(() => this.$releaseConnection(connection));
+				} else {
+					this.$releaseConnection(connection);
+				}
+			};
+
+			this
+				.$execute(connection, sql, values)
+				.then((results) => {
+					done();
+
+					resolve(results);
+				}, (error) => {
+					done();
+
+					reject(error);
+				});
+
+			if (options.timeout) {
+				timer = setTimeout(() => {
+					this.$stats.timeouts++;
+
+					kill(createError(
+						`The query ran longer than ${options.timeout}ms`,
+						'POOL_QUERY_TIMEOUT'
+					));
+				}, options.timeout);
+			}
+
+			if (signal) {
+				onAbort = () => kill(createAbortError());
+
+				signal.addEventListener('abort', onAbort);
+			}
+		});
+	}
+
+	/**
+	 * @private
+	 * Streams the rows of a query on a connection into the output stream and
+	 * releases the connection once the query ends. A query whose stream is
+	 * destroyed early is killed.
+	 *
+	 * @param {PoolConnection} connection The connection that will execute the query.
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Object} options The options of the query.
+	 * @param {stream.PassThrough} output The stream the rows are written to.
+	 */
+	$stream (connection, sql, values, options, output) {
+		if (output.destroyed) {
+			this.$releaseConnection(connection);
+
+			return;
+		}
+
+		const start = new Date().getTime();
+		const query = this.$createQuery(sql, values);
+
+		let ended  = false,
+			failed = false,
+			killing;
+
+		query.once('error', () => {
+			failed = true;
+		});
+
+		query.once('end', () => {
+			ended = true;
+
+			this.$queryTime.observe(new Date().getTime() - start);
+
+			this.$stats.queries++;
+
+			if (failed) {
+				this.$stats.queriesFailed++;
+			} else {
+				connection.$lastValidated = new Date().getTime();
+			}
+
+			if (killing) {
+				killing.then(() => this.$releaseConnection(connection));
+			} else {
+				this.$releaseConnection(connection);
+			}
+		});
+
+		const source = query.stream({
+			highWaterMark : options.highWaterMark
+		});
+
+		source.on('fields', fields => output.emit('fields', fields));
+		source.on('error',  error  => output.destroy(error));
+
+		output.once('close', () => {
+			if (!ended && !failed) {
+				/**
+				 * The stream was destroyed early, kill the query so the
+				 * server stops sending rows and discard the rows already
+				 * sent so the query can end.
+				 */
+				killing = this.$killQuery(connection);
+
+				source.unpipe(output);
+				source.resume();
+
+				connection.resume();
+			}
+		});
+
+		source.pipe(output);
+
+		connection.$lastQuery = start;
+
+		connection.query(query);
+	}
+
+	/**
+	 * @private
+	 * Stops the query running on a connection by sending `KILL QUERY` from
+	 * a separate connection. The connection keeps working and its query
+	 * returns with an error. Once the {@link #killConnectionLimit} has been
+	 * reached, the kill waits for another kill to finish.
+	 *
+	 * @param {PoolConnection} connection The connection running the query.
+	 * @returns {Promise} Resolves once the kill has finished, even if it failed.
+	 */
+	$killQuery (connection) {
+		if (!connection.threadId) {
+			return Promise.resolve();
+		}
+
+		return new Promise((resolve) => {
+			const kill = () => {
+				this.$kills++;
+
+				this
+					.$sideQuery(connection, `KILL QUERY ${Number(connection.threadId)}`)
+					.catch(error => this.$emitError(error, connection))
+					.then(() => {
+						this.$kills--;
+
+						const next = this.$killQueue.shift();
+
+						if (next) {
+							next();
+						}
+
+						resolve();
+					});
+			};
+
+			if (this.$kills < this.killConnectionLimit) {
+				kill();
+			} else {
+				this.$killQueue.push(kill);
+			}
+		});
+	}
+
+	/**
+	 * @private
+	 * Executes a statement on a new connection to the same host as a connection
+	 * from this pool. The new connection is not part of this pool and is ended
+	 * once the statement returns.
+	 *
+	 * @param {PoolConnection} connection The connection whose host to connect to.
+	 * @param {String} sql The SQL statement to run.
+	 * @returns {Promise}
+	 */
+	$sideQuery (connection, sql) {
+		return new Promise((resolve, reject) => {
+			const side = this.$createSideConnection(connection);
+
+			side.query(sql, (error, results) => {
+				side.end(() => {});
+
+				if (error) {
+					reject(error);
+				} else {
+					resolve(results);
+				}
+			});
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {PoolConnection} connection The connection whose config to use.
+	 * @returns {Connection} A connection that is not part of this pool.
+	 */
+	$createSideConnection (connection) {
+		let config           = connection.config,
+			connectionConfig = new ConnectionConfig(config);
+
+		connectionConfig.clientFlags   = config.clientFlags;
+		connectionConfig.maxPacketSize = config.maxPacketSize;
+
+		return new Connection({
+			config : connectionConfig
+		});
+	}
+
+	/**
+	 * @private
+	 * Executes a statement on a connection without releasing the connection.
+	 *
+	 * @param {PoolConnection} connection The connection that will execute the statement.
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 *
+	 * @returns {Promise}
+	 */
+	$execute (connection, sql, values) {
+		return new Promise((resolve, reject) => {
+			const start     = new Date().getTime();
+			const queueTime = connection.$queueTime || 0;
+			const query     = this.$createQuery(sql, values, (error, results) => {
+				const duration = new Date().getTime() - start;
+
+				this.$queryTime.observe(duration);
+
+				this.$stats.queries++;
+
+				if (error) {
+					this.$stats.queriesFailed++;
+
+					reject(error);
+				} else {
+					connection.$lastValidated = new Date().getTime();
+
+					resolve(results);
+				}
+
+				if (this.slowQueryThreshold && duration >= this.slowQueryThreshold) {
+					this.$reportSlowQuery(connection, query, statement, duration, queueTime);
+				}
+			});
+
+			/**
+			 * The connection formats the values into the SQL of the query,
+			 * keep the statement with the placeholders for the slow query log.
+			 */
+			const statement = query.sql;
+
+			/**
+			 * Only the first statement after the connection was handed
+			 * out has waited in the queue.
+			 */
+			connection.$queueTime = 0;
+			connection.$lastQuery = start;
+
+			connection.query(query);
+		});
+	}
+
+	/**
+	 * @private
+	 * Fires the `slowQuery` event for a query that ran longer than the
+	 * {@link #slowQueryThreshold}. With {@link #slowQueryExplain}, a `SELECT`
+	 * is explained from a separate connection before the event fires unless the
+	 * same statement is already being explained or the {@link #explainConnectionLimit}
+	 * has been reached.
+	 *
+	 * @param {PoolConnection} connection The connection that executed the query.
+	 * @param {Query} query The query that was executed.
+	 * @param {String} sql The SQL statement with the placeholders.
+	 * @param {Number} duration The number of milliseconds the query ran.
+	 * @param {Number} queueTime The number of milliseconds the query waited in the queue.
+	 */
+	$reportSlowQuery (connection, query, sql, duration, queueTime) {
+		if (!this.listenerCount('slowQuery')) {
+			return;
+		}
+
+		let values = query.values;
+
+		if (this.slowQueryRedact) {
+			try {
+				values = this.slowQueryRedact(values, sql);
+			} catch (error) {
+				this.$emitError(error, connection);
+
+				return;
+			}
+		}
+
+		const report = {
+			duration,
+			plan     : null,
+			queueTime,
+			sql,
+			threadId : connection.threadId,
+			values
+		};
+
+		/**
+		 * When the database slows down, most queries are slow. Skip the plan
+		 * rather than opening a connection for every one of them.
+		 */
+		if (
+			!this.slowQueryExplain ||
+			!explainPattern.test(sql) ||
+			this.$explaining.has(sql) ||
+			this.$explaining.size >= this.explainConnectionLimit
+		) {
+			this.$emit('slowQuery', connection, report);
+
+			return;
+		}
+
+		this.$explaining.add(sql);
+
+		this
+			.$sideQuery(connection, `EXPLAIN ${query.sql}`)
+			.then((plan) => {
+				report.plan = plan;
+			}, error => this.$emitError(error, connection))
+			.then(() => {
+				this.$explaining.delete(sql);
+
+				this.$emit('slowQuery', connection, report);
+			});
+	}
+
+	/**
+	 * Releases a connection from being busy to being free.
 	 *
-	 * @param {*} arg Any argument possibly from a promise.
+	 * If there is a queued query or a queued {@link #getConnection} call,
+	 * the connection will be handed straight over to it instead. If the
+	 * connection has expired, it will be retired. If the pool is above the
+	 * {@link #maxConnectionLimit}, the connection will be scaled down.
 	 *
-	 * @returns {*} The argument that was passed to this method.
+	 * @param {PoolConnection} connection
+	 * @returns {PoolConnection}
 	 */
-	$onEnd (arg) {
-		this.$closed = true;
+	$releaseConnection (connection) {
+		if (!this.$closed && this.$connections.has(connection)) {
+			this.$remove(this.$bufferQueue, connection);
 
-		this
-			.$clear(this.$connections)
-			.$clear(this.$busyConnections)
-			.$clear(this.$freeConnections)
-			.$clear(this.$bufferQueue)
-			.$clear(this.$queryQueue);
+			this.$releaseKey(connection);
+			this.$unwatchLeak(connection);
 
-		this.$scaleInterval && clearInterval(this.$scaleInterval);
+			if (this.$isExpired(connection)) {
+				this.$retireConnection(connection);
+			} else if (this.$connections.size > this.maxConnectionLimit && !this.$queryQueue.size) {
+				this.$scaleDownConnection(connection);
+			} else {
+				const item = this.$nextQueued();
 
-		this.$connectionConfig    =
-			this.$connections     =
-			this.$busyConnections =
-			this.$freeConnections =
-			this.$queryQueue      =
-			this.$bufferQueue     =
-			this.$scaleInterval   =
-			this.connectionClass  =
-			null;
+				if (item) {
+					this.$emit('release', connection);
 
-		return arg;
+					this.$dequeue(connection, item);
+				} else {
+					this.$remove(this.$busyConnections, connection)
+						.$add   (this.$freeConnections, connection);
+
+					this.$emit('release', connection);
+				}
+			}
+
+			this.$scale('release');
+		}
+
+		return connection;
 	}
 
 	/**
 	 * @private
-	 * Gracefully releases and then destroys the connection.
+	 * Determines if a connection has passed the {@link #maxLifetime}
+	 * or the {@link #maxUsesPerConnection}.
 	 *
-	 * @returns {Promise}
+	 * @param {PoolConnection} connection
+	 * @returns {Boolean}
 	 */
-	$endConnection (connection) {
-		return connection
-			.release()
-			.then(connection => {
-				connection.destroy();
+	$isExpired (connection) {
+		if (this.maxLifetime && new Date().getTime() - connection.$createdAt >= this.maxLifetime) {
+			return true;
+		}
 
-				return connection;
-			});
+		return Boolean(this.maxUsesPerConnection && connection.$uses >= this.maxUsesPerConnection);
 	}
 
 	/**
 	 * @private
-	 * Non-gracefully destroys a connection.
+	 * Removes and destroys an expired connection. A replacement is created
+	 * if there are queued entries waiting on a connection or to stay at the
+	 * {@link #minConnectionLimit}.
 	 *
-	 * @returns {Promise}
+	 * @param {PoolConnection} connection
 	 */
-	$destroyConnection (connection) {
-		return connection.destroy();
+	$retireConnection (connection) {
+		this.$emit('retire', connection);
+
+		this.$removeConnection(connection);
+
+		connection.destroy();
+
+		if (this.$queryQueue.size || this.$connections.size < this.minConnectionLimit) {
+			this.$bufferConnection().catch(() => {});
+		}
 	}
 
 	/**
 	 * @private
-	 * Creates the `Query` instance that will be executed by the `PoolConnection`.
+	 * Adds an entry waiting on a connection to the queue. The entry will be
+	 * rejected if it waits longer than the queue timeout or if its `AbortSignal`
+	 * is aborted.
 	 *
-	 * @param {String} sql The SQL statement to run.
-	 * @param {Array} values The values to replace in the placeholders
-	 * in the SQL statement.
-	 * @param {Function} callback The callback function when the query has been executed.
-	 *
-	 * @returns {Query}
+	 * @param {Object} item The queued entry.
+	 * @returns {Object} The queued entry.
 	 */
-	$createQuery (sql, values, callback) {
-		const query = Connection.createQuery(sql, values, callback);
-
-		if (!(typeof sql === 'object' && 'typeCast' in sql)) {
-			query.typeCast = this.connectionConfig.typeCast;
+	$enqueue (item) {
+		const { options } = item;
+		const timeout     = options.queueTimeout === undefined ? this.queueTimeout : options.queueTimeout;
+
+		if (timeout) {
+			item.timer = setTimeout(() => {
+				this.$stats.timeouts++;
+
+				this.$rejectQueued(item, createError(
+					`Waited in the queue longer than ${timeout}ms`,
+					'POOL_QUEUE_TIMEOUT'
+				));
+			}, timeout);
 		}
 
-		if (this.connectionConfig.trace) {
-			// Long stack trace support
-			query._callSite = new Error();
+		if (options.signal) {
+			item.onAbort = () => this.$rejectQueued(item, createAbortError());
+
+			options.signal.addEventListener('abort', item.onAbort);
 		}
 
-		return query;
+		this.$add(this.$queryQueue, item, true);
+
+		this.$emit('enqueue', null);
+
+		return item;
 	}
 
 	/**
 	 * @private
-	 * Do the actual querying.
-	 *
-	 * @param {PoolConnection} connection The connection that will execute the query.
-	 * @param {String} sql The SQL statement to run.
-	 * @param {Array} values The values to replace in the placeholders
-	 * in the SQL statement.
+	 * Removes the next entry from the queue. This is the entry with the highest
+	 * priority, aged by the {@link #queueAgingInterval}. Of entries with the same
+	 * priority, the first queued entry of the `key` option that was handed a
+	 * queued connection the longest ago is used. Entries for keys that reached
+	 * the {@link #maxConcurrentPerKey} are skipped.
 	 *
-	 * @returns {Promise}
+	 * @returns {Object} The queued entry, `undefined` if no entry can be handed
+	 * a connection.
 	 */
-	$query (connection, sql, values) {
-		return new Promise((resolve, reject) => {
-			const query = this.$createQuery(sql, values, (error, results) => {
-				this.$releaseConnection(connection);
+	$nextQueued () {
+		const aging = this.queueAgingInterval;
+		const now   = new Date().getTime();
 
-				if (error) {
-					reject(error);
-				} else {
-					resolve(results);
-				}
-			});
+		let next, nextPriority, nextTurn;
 
-			connection.$lastQuery = new Date().getTime();
+		this.$queryQueue.forEach(item => {
+			const key = item.options.key;
 
-			connection.query(query);
+			if (this.$isKeyAtLimit(key)) {
+				return;
+			}
+
+			const priority = aging ? item.priority + Math.floor((now - item.queuedAt) / aging) : item.priority;
+			const turn     = this.$keyTurns.get(key) || 0;
+
+			if (!next || priority > nextPriority || (priority === nextPriority && turn < nextTurn)) {
+				next         = item;
+				nextPriority = priority;
+				nextTurn     = turn;
+			}
 		});
+
+		if (next) {
+			this.$remove(this.$queryQueue, next, true);
+
+			if (this.$queryQueue.size) {
+				this.$keyTurns.set(next.options.key, ++this.$turns);
+			} else {
+				/**
+				 * Nothing is waiting, start the turns over.
+				 */
+				this.$keyTurns.clear();
+			}
+		}
+
+		return next;
 	}
 
 	/**
-	 * Releases a connection from being busy to being free.
-	 *
-	 * This will also check if there is a queued query.
+	 * @private
+	 * Removes an entry from the queue and rejects it.
 	 *
-	 * @param {PoolConnection} connection
-	 * @returns {PoolConnection}
+	 * @param {Object} item The queued entry.
+	 * @param {Error} error The error to reject the query with.
 	 */
-	$releaseConnection (connection) {
-		if (!this.$closed) {
-			this.$remove(this.$busyConnections, connection)
-				.$remove(this.$bufferQueue,     connection)
-				.$add   (this.$freeConnections, connection);
+	$rejectQueued (item, error) {
+		if (!this.$closed && this.$queryQueue.has(item)) {
+			this.$remove(this.$queryQueue, item, true);
 
-			if (this.$freeConnections.size > 0 && this.$queryQueue.size) {
-				const item = this.$first(this.$queryQueue);
+			this.$settleQueued(item).reject(error);
+		}
+	}
 
-				this
-					.query(item.sql, item.values)
-					.then(item.resolve, item.reject);
-			}
+	/**
+	 * @private
+	 * Clears the timeout and the abort listener of an entry that
+	 * is leaving the queue.
+	 *
+	 * @param {Object} item The queued entry.
+	 * @returns {Object} The queued entry.
+	 */
+	$settleQueued (item) {
+		if (item.timer) {
+			clearTimeout(item.timer);
 		}
 
-		return connection;
+		if (item.onAbort) {
+			item.options.signal.removeEventListener('abort', item.onAbort);
+		}
+
+		item.timer = item.onAbort = null;
+
+		return item;
 	}
 
 	/**
@@ -493,10 +2324,32 @@ class Pool {
 	 */
 	$removeConnection (connection) {
 		if (!this.$closed) {
+			const removed = this.$connections.has(connection);
+			const keyed   = removed && connection.$key !== undefined;
+
+			if (removed) {
+				this.$releaseKey(connection);
+				this.$unwatchLeak(connection);
+			}
+
 			this.$remove(this.$busyConnections, connection)
 				.$remove(this.$freeConnections, connection)
 				.$remove(this.$connections,     connection)
 				.$remove(this.$bufferQueue,     connection);
+
+			if (removed) {
+				this.$stats.connectionsDestroyed++;
+
+				this.$emit('destroy', connection);
+			}
+
+			if (keyed) {
+				/**
+				 * Entries queued because the key was at its limit
+				 * may be able to take a connection now.
+				 */
+				this.$serveQueue();
+			}
 		}
 
 		return connection;
@@ -504,105 +2357,321 @@ class Pool {
 
 	/**
 	 * @private
-	 * Determines if connections can be made to be buffered. This means
-	 * connections will be free for the next query execution.
+	 * Hands free connections to the queued entries that can be handed one, such
+	 * as entries whose key dropped below the {@link #maxConcurrentPerKey}. If no
+	 * connection is free, a connection is created for them when below the
+	 * {@link #maxConnectionLimit} and none is being created already.
+	 */
+	$serveQueue () {
+		let item;
+
+		while (this.$freeConnections.size && (item = this.$nextQueued())) {
+			this.$dequeue(this.$first(this.$freeConnections), item);
+		}
+
+		if (
+			!this.$bufferQueue.size &&
+			this.$connections.size < this.maxConnectionLimit &&
+			this.$canServeQueued()
+		) {
+			this.$bufferConnection().catch(() => {});
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {Boolean} Whether a queued entry can be handed a connection.
+	 */
+	$canServeQueued () {
+		return Array.from(this.$queryQueue).some(item => !this.$isKeyAtLimit(item.options.key));
+	}
+
+	/**
+	 * @private
+	 * Hands a connection to an entry taken off the queue.
 	 *
-	 * The number of connections will be determined from the {@link #connectionBuffer}
-	 * config along with making sure the number of connections does not go above
-	 * the {@link #maxConnectionLimit} and checking the number of connections
-	 * already free.
+	 * @param {PoolConnection} connection The connection to hand out.
+	 * @param {Object} item The queued entry.
 	 */
-	$maybeBufferConnection () {
-		let buffer = this.connectionBuffer;
+	$dequeue (connection, item) {
+		this.$settleQueued(item);
 
-		if (buffer && this.$connections.size  < this.maxConnectionLimit && this.$freeConnections.size < buffer) {
-			buffer = (
-				this.$connections.size + buffer > this.maxConnectionLimit ?
-					this.maxConnectionLimit - this.$connections.size : // buffer would go over the maxConnectionLimit
-					this.$freeConnections.size ?
-						buffer - this.$freeConnections.size : // we have some freeConnections, subtract from buffer
-						buffer
-			) - this.$bufferQueue.size;
+		const queueTime = new Date().getTime() - item.queuedAt;
 
-			if (buffer && buffer > 0) {
-				const promises = [];
+		this.$queueWaitTime.observe(queueTime);
 
-				for (let i = 0; i < buffer; i++) {
-					let connection = this.getConnection(true);
+		this.$emit('dequeue', connection);
 
-					this.$add(this.$bufferQueue, connection);
+		item.resolve(this.$handOut(connection, item.options, queueTime));
+	}
 
-					promises.push(connection);
-				}
+	/**
+	 * @private
+	 * Calls the {@link #scalingStrategy} with a snapshot of this pool and
+	 * adds or removes the number of connections it returns.
+	 *
+	 * @param {String} hook The strategy method to call, one of `acquire`,
+	 * `release` or `tick`.
+	 */
+	$scale (hook) {
+		const strategy = this.scalingStrategy;
 
-				/**
-				 * Capture any connection rejections in the case a connection
-				 * could not connect to the database. We could turn around and
-				 * execute this $maybeBufferConnection method to try again, however,
-				 * this could end up in an endless loop if a database is down.
-				 */
-				Promise.all(promises).catch(() => {});
-			}
+		if (this.$closed || typeof strategy[hook] !== 'function') {
+			return;
+		}
+
+		const num = strategy[hook](this.$scalingSnapshot(), this);
+
+		if (num > 0) {
+			this.$scaleUp(num);
+		} else if (num < 0) {
+			this.$scaleDown(-num);
 		}
 	}
 
 	/**
 	 * @private
-	 * Check to see if any connections are old and will be deemed unnecessary
-	 * due to the last time a query was executed on the connection and the
-	 * {@link #connectionDecay} timeframe. This allows for scaling down.
+	 * @returns {Object} The stats of this pool along with the idle time of each
+	 * free connection and the connection limits for the {@link #scalingStrategy}.
+	 */
+	$scalingSnapshot () {
+		const now  = new Date().getTime();
+		const idle = [];
+
+		this.$freeConnections.forEach(connection => {
+			idle.push(connection.$lastQuery ? now - connection.$lastQuery : Infinity);
+		});
+
+		return Object.assign(this.getStats(), {
+			idle               : idle.sort((a, b) => b - a),
+			maxConnectionLimit : this.maxConnectionLimit,
+			minConnectionLimit : this.minConnectionLimit,
+			now
+		});
+	}
+
+	/**
+	 * @private
+	 * Buffers connections to be free for the next query executions. The number
+	 * of connections will not go above the {@link #maxConnectionLimit}.
 	 *
-	 * The number of connections that will be scaled down will not go below
-	 * the {@link minConnectionLimit} even if the number of connections is
+	 * @param {Number} num The number of connections to buffer.
+	 */
+	$scaleUp (num) {
+		num = Math.min(num, this.maxConnectionLimit - this.$connections.size);
+
+		if (num > 0) {
+			const promises = [];
+
+			for (let i = 0; i < num; i++) {
+				promises.push(this.$bufferConnection());
+			}
+
+			/**
+			 * Capture any connection rejections in the case a connection
+			 * could not connect to the database. We could turn around and
+			 * scale up again to try again, however, this could end up in an
+			 * endless loop if a database is down.
+			 */
+			Promise.all(promises).catch(() => {});
+		}
+	}
+
+	/**
+	 * @private
+	 * Removes the free connections that have not executed a query for the
+	 * longest. The number of connections will not go below the
+	 * {@link #minConnectionLimit} even if the number of connections is
 	 * under that limit.
+	 *
+	 * @param {Number} num The number of connections to remove.
 	 */
-	$onScaleInterval () {
-		const decay = this.connectionDecay;
+	$scaleDown (num) {
+		num = Math.min(num, this.$connections.size - this.minConnectionLimit);
 
-		if (decay) {
-			const purgable = [];
-			const now      = new Date().getTime();
+		if (num > 0) {
+			const purgable = Array
+				.from(this.$freeConnections)
+				.sort((a, b) => (a.$lastQuery || 0) - (b.$lastQuery || 0))
+				.slice(0, num);
 
-			this.$freeConnections.forEach(connection => {
-				const lastQuery = connection.$lastQuery;
+			purgable.forEach(this.$scaleDownConnection.bind(this));
+		}
+	}
 
-				if (!lastQuery || now - lastQuery >= decay) {
-					purgable.push(connection);
-				}
+	/**
+	 * @private
+	 * Removes and destroys a connection that is no longer needed.
+	 *
+	 * @param {PoolConnection} connection
+	 */
+	$scaleDownConnection (connection) {
+		this.$stats.scaleDowns++;
+
+		this.$emit('scaleDown', connection);
+
+		this.$removeConnection(connection);
+
+		connection.destroy();
+	}
+
+	/**
+	 * @private
+	 * Sets the limits from the window of the {@link #schedule} the {@link #clock}
+	 * is in. When a window starts within the {@link #scheduleLeadTime}, its limits
+	 * are used where they are higher. The pool then scales up to the
+	 * {@link #minConnectionLimit} and removes free connections above the
+	 * {@link #maxConnectionLimit}.
+	 */
+	$applySchedule () {
+		if (this.$closed) {
+			return;
+		}
+
+		const now      = new Date(this.clock()).getTime();
+		const window   = this.$schedule.getWindow(new Date(now));
+		const upcoming = this.scheduleLeadTime && this.$schedule.getWindow(new Date(now + this.scheduleLeadTime));
+		const limits   = this.$scheduleLimits(window);
+
+		if (upcoming && upcoming !== window) {
+			const upcomingLimits = this.$scheduleLimits(upcoming);
+
+			scheduleLimits.forEach(name => {
+				limits[ name ] = Math.max(limits[ name ], upcomingLimits[ name ]);
 			});
+		}
 
-			const num = purgable.length;
+		const changed = scheduleLimits.some(name => limits[ name ] !== this[ name ]);
 
-			if (num) {
-				if (this.$connections.size - num < this.minConnectionLimit) {
-					/**
-					 * This would have caused the number of connections to be
-					 * below the minConnectionLimit. We need to purge only
-					 * the number of connections to get us to the minConnectionLimit.
-					 */
-					const newNum = this.$connections.size - this.minConnectionLimit;
+		Object.assign(this, limits);
 
-					purgable.sort((a, b) => a.$lastQuery - b.$lastQuery);
+		if (changed) {
+			this.$emit('schedule', null, {
+				limits,
+				window
+			});
+		}
 
-					purgable.splice(
-						newNum,
-						purgable.length - newNum
-					);
-				}
+		this.$scaleUp(this.minConnectionLimit - this.$connections.size);
+		this.$scaleDown(this.$connections.size - this.maxConnectionLimit);
+	}
 
-				if (purgable.length) {
-					purgable.forEach((connection) => {
-						this.$removeConnection(connection);
+	/**
+	 * @private
+	 * @param {Object} window The window of the {@link #schedule}, `null` for none.
+	 * @returns {Object} The limits of the window falling back to the configured limits.
+	 */
+	$scheduleLimits (window) {
+		const limits = Object.assign({}, this.$baseLimits);
 
-						connection.destroy();
-					});
+		if (window) {
+			scheduleLimits.forEach(name => {
+				if (window[ name ] !== undefined) {
+					limits[ name ] = window[ name ];
 				}
+			});
+		}
+
+		return limits;
+	}
+
+	/**
+	 * @private
+	 * Creates a connection that will be free once connected.
+	 *
+	 * @returns {Promise}
+	 */
+	$bufferConnection () {
+		return this
+			.$openConnection(this.$bufferQueue)
+			.then(this.$releaseConnection.bind(this));
+	}
+
+	/**
+	 * @private
+	 * Pings the free connections that have been idle for the {@link #keepAliveInterval}.
+	 * The connection is busy while being pinged so a query cannot use it at the
+	 * same time. A connection that fails the ping is removed and replaced.
+	 */
+	$onKeepAliveInterval () {
+		const now      = new Date().getTime();
+		const pingable = [];
+
+		this.$freeConnections.forEach(connection => {
+			if (!connection.$lastValidated || now - connection.$lastValidated >= this.keepAliveInterval) {
+				pingable.push(connection);
 			}
-		} else {
-			this.$scaleInterval && clearInterval(this.$scaleInterval);
+		});
+
+		pingable.forEach(connection => {
+			this.$useConnection(connection);
+
+			this
+				.$validateConnection(connection)
+				.then(this.$releaseConnection.bind(this), () => {
+					this.$removeConnection(connection);
+
+					connection.destroy();
+
+					if (!this.$closed && this.$connections.size < this.maxConnectionLimit) {
+						this.$bufferConnection().catch(() => {});
+					}
+				});
+		});
+	}
+
+	/**
+	 * @private
+	 * Calls the `tick` of the {@link #scalingStrategy} every {@link #scaleInterval}.
+	 * With the default strategy, connections that have not executed a query within
+	 * the {@link #connectionDecay} timeframe are deemed unnecessary and removed.
+	 * This allows for scaling down.
+	 */
+	$onScaleInterval () {
+		this.$scale('tick');
+	}
+
+	/**
+	 * @private
+	 * Fires an event with the connection and the counts of this pool.
+	 *
+	 * @param {String} type The name of the event.
+	 * @param {PoolConnection} connection The connection the event is about,
+	 * `null` if the event is not about a connection.
+	 * @param {Object} [data] Additional data to add to the event object.
+	 * @returns {Pool}
+	 */
+	$emit (type, connection, data) {
+		this.emit(type, Object.assign({
+			connection,
+			counts : this.getCounts(),
+			pool   : this,
+			type
+		}, data));
+
+		return this;
+	}
 
-			this.$scaleInterval = null;
+	/**
+	 * @private
+	 * Fires the `error` event. Since an `error` event without listeners
+	 * would throw, this is only fired when there are listeners.
+	 *
+	 * @param {Error} error The error that occurred.
+	 * @param {PoolConnection} connection The connection the error is about.
+	 * @returns {Pool}
+	 */
+	$emitError (error, connection) {
+		if (this.listenerCount('error')) {
+			this.emit('error', error, {
+				connection,
+				counts : this.getCounts(),
+				pool   : this,
+				type   : 'error'
+			});
 		}
+
+		return this;
 	}
 
 	/**
@@ -618,11 +2687,11 @@ class Pool {
 	 */
 	$first (set, remove = true) {
 		const values = set.values();
-        const item   = values.next();
+		const item   = values.next();
 
-		if (item) {
+		if (!item.done) {
 			if (remove) {
-				set.delete(item);
+				set.delete(item.value);
 			}
 
 			return item.value;
@@ -0,0 +1,349 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+/**
+ * Statements that only read and can be sent to a replica.
+ */
+const readPattern = /^\s*(SELECT|SHOW|DESCRIBE|DESC|EXPLAIN)\b/i;
+/**
+ * Reads that lock rows and have to be sent to the primary.
+ */
+const lockPattern = /\b(FOR\s+UPDATE|LOCK\s+IN\s+SHARE\s+MODE|FOR\s+SHARE)\b/i;
+
+const configDefaults = {
+	/**
+	 * @cfg {Object} [defaults={}] The configs applied to the primary and every
+	 * replica pool. The `connectionConfig` is merged with the `connectionConfig`
+	 * of each pool.
+	 */
+	defaults                : {},
+	/**
+	 * @cfg {Pool} [poolClass=Pool] The pool class to create the pools with.
+	 */
+	poolClass               : require('./Pool'),
+	/**
+	 * @cfg {Object} primary The configs of the pool for the primary that
+	 * all writes are sent to. For valid configs, please see {@link Pool}.
+	 */
+	primary                 : null,
+	/**
+	 * @cfg {Number} [replicaFailureThreshold=3] The number of connection failures
+	 * in a row a replica can have before it is removed for the {@link #replicaRemoveTime}.
+	 */
+	replicaFailureThreshold : 3,
+	/**
+	 * @cfg {Number} [replicaRemoveTime=30000] The number of milliseconds a failing
+	 * replica is removed for. Reads are sent to the other replicas, or the primary
+	 * when no replicas are available, while removed.
+	 */
+	replicaRemoveTime       : 30000, // 30 seconds
+	/**
+	 * @cfg {Object[]} [replicas=[]] The configs of a pool for each replica that
+	 * reads are sent to. For valid configs, please see {@link Pool}.
+	 */
+	replicas                : [],
+	/**
+	 * @cfg {String/Function} [selector='round-robin'] How a replica is selected for a read:
+	 *
+	 * - `round-robin` Each replica is selected in turn.
+	 * - `random` A random replica is selected.
+	 * - `least-busy` The replica with the least busy connections is selected.
+	 *
+	 * A function can also be passed which receives the available replica pools
+	 * and returns the pool to use.
+	 */
+	selector                : 'round-robin'
+};
+
+/**
+ * Owns a scaling pool for the primary and one for each replica. Queries are sent
+ * to the primary or a replica based on the statement type or the `role` option.
+ *
+ * The cluster fires these events with an event object holding the `type`, the
+ * `cluster` and the replica `pool`:
+ *
+ * - `replicaRemove` A replica has been removed after failing.
+ * - `replicaRestore` A removed replica is available again.
+ */
+class PoolCluster extends EventEmitter {
+	constructor (config) {
+		super();
+
+		Object.assign(this, configDefaults, config);
+
+		if (!this.primary) {
+			throw new Error('A primary pool config is required');
+		}
+
+		/**
+		 * The pool for the primary.
+		 */
+		this.$primary = this.$createPool(this.primary);
+		/**
+		 * Holds each replica pool along with its failure state.
+		 */
+		this.$replicas = this.replicas.map(config => ({
+			failures     : 0,
+			pool         : this.$createPool(config),
+			removedUntil : 0
+		}));
+		/**
+		 * The number of replica selections, used for round robin selection.
+		 */
+		this.$selections = 0;
+	}
+
+	/**
+	 * Executes a query on the primary or a replica. Statements that only read,
+	 * such as `SELECT` without a locking clause, are sent to a replica while every
+	 * other statement is sent to the primary.
+	 *
+	 * @param {String} sql The SQL statement to run.
+	 * @param {Array} values The values to replace in the placeholders
+	 * in the SQL statement.
+	 * @param {Object} [options] The options passed to `Pool#query`.
+	 * @param {String} [options.role] Either `read` or `write` to send the query to
+	 * a replica or the primary regardless of the statement type.
+	 *
+	 * @returns {Promise}
+	 */
+	query (sql, values, options = {}) {
+		const role = options.role || this.$roleOf(sql);
+
+		if (role === 'read') {
+			const replica = this.$selectReplica();
+
+			if (replica) {
+				return replica.pool
+					.query(sql, values, options)
+					.then((results) => {
+						replica.failures = 0;
+
+						return results;
+					}, (error) => {
+						this.$onReplicaError(replica, error);
+
+						throw error;
+					});
+			}
+		}
+
+		return this.$primary.query(sql, values, options);
+	}
+
+	/**
+	 * Returns a connection from the primary or a replica.
+	 *
+	 * @param {Object} [options] The options passed to `Pool#getConnection`.
+	 * @param {String} [options.role='write'] Either `read` to get a connection from
+	 * a replica or `write` to get a connection from the primary.
+	 *
+	 * @returns {Promise}
+	 */
+	getConnection (options = {}) {
+		const replica = options.role === 'read' && this.$selectReplica();
+
+		if (replica) {
+			return replica.pool
+				.getConnection(options)
+				.then((connection) => {
+					replica.failures = 0;
+
+					return connection;
+				}, (error) => {
+					this.$onReplicaError(replica, error);
+
+					throw error;
+				});
+		}
+
+		return this.$primary.getConnection(options);
+	}
+
+	/**
+	 * Runs the callback within a transaction on the primary. Please see
+	 * `Pool#transaction` for the options.
+	 *
+	 * @param {Function} callback The function to run within the transaction.
+	 * @param {Object} [options] The options of the transaction.
+	 *
+	 * @returns {Promise}
+	 */
+	transaction (callback, options) {
+		return this.$primary.transaction(callback, options);
+	}
+
+	/**
+	 * @param {String} [role='write'] Either `read` to get a replica pool or
+	 * `write` to get the primary pool.
+	 * @returns {Pool} The pool for the role. The primary pool is returned for
+	 * `read` when no replicas are available. Failures of queries run directly on
+	 * a replica pool do not count towards the {@link #replicaFailureThreshold}.
+	 */
+	getPool (role = 'write') {
+		const replica = role === 'read' && this.$selectReplica();
+
+		return replica ? replica.pool : this.$primary;
+	}
+
+	/**
+	 * @returns {Object} The stats of the `primary` pool and an array of the stats
+	 * of the `replicas` pools. Please see `Pool#getStats`.
+	 */
+	getStats () {
+		return {
+			primary  : this.$primary.getStats(),
+			replicas : this.$replicas.map(replica => Object.assign(replica.pool.getStats(), {
+				removed : replica.removedUntil > new Date().getTime()
+			}))
+		};
+	}
+
+	/**
+	 * Gracefully ends the primary and replica pools.
+	 *
+	 * @returns {Promise}
+	 */
+	end () {
+		return Promise.all(this.$pools().map(pool => pool.end()));
+	}
+
+	/**
+	 * Forces the primary and replica pools to be destroyed.
+	 *
+	 * @returns {Promise}
+	 */
+	destroy () {
+		return Promise.all(this.$pools().map(pool => pool.destroy()));
+	}
+
+	/**
+	 * @private
+	 * @param {Object} config The configs of the pool.
+	 * @returns {Pool}
+	 */
+	$createPool (config) {
+		const defaults = this.defaults;
+
+		return new this.poolClass(Object.assign({}, defaults, config, {
+			connectionConfig : Object.assign({}, defaults.connectionConfig, config.connectionConfig)
+		}));
+	}
+
+	/**
+	 * @private
+	 * @returns {Pool[]} The primary and replica pools.
+	 */
+	$pools () {
+		return [ this.$primary ].concat(this.$replicas.map(replica => replica.pool));
+	}
+
+	/**
+	 * @private
+	 * Determines if a statement can be sent to a replica.
+	 *
+	 * @param {String/Object} sql The SQL statement or query options.
+	 * @returns {String} Either `read` or `write`.
+	 */
+	$roleOf (sql) {
+		const statement = typeof sql === 'object' && sql ? sql.sql : sql;
+
+		return typeof statement === 'string' && readPattern.test(statement) && !lockPattern.test(statement) ?
+			'read' :
+			'write';
+	}
+
+	/**
+	 * @private
+	 * Selects an available replica using the {@link #selector}.
+	 *
+	 * @returns {Object} The replica, `undefined` if no replicas are available.
+	 */
+	$selectReplica () {
+		const available = this.$replicas.filter(replica => !this.$isRemoved(replica));
+
+		if (!available.length) {
+			return;
+		}
+
+		const selector = this.selector;
+
+		if (typeof selector === 'function') {
+			const pool = selector(available.map(replica => replica.pool));
+
+			return available.find(replica => replica.pool === pool);
+		} else if (selector === 'random') {
+			return available[ Math.floor(Math.random() * available.length) ];
+		} else if (selector === 'least-busy') {
+			return available.reduce((least, replica) =>
+				replica.pool.getCounts().busy < least.pool.getCounts().busy ? replica : least
+			);
+		}
+
+		return available[ this.$selections++ % available.length ];
+	}
+
+	/**
+	 * @private
+	 * Determines if a replica is removed. A replica whose removal has expired
+	 * will be restored.
+	 *
+	 * @param {Object} replica
+	 * @returns {Boolean}
+	 */
+	$isRemoved (replica) {
+		if (!replica.removedUntil) {
+			return false;
+		}
+
+		if (new Date().getTime() < replica.removedUntil) {
+			return true;
+		}
+
+		replica.removedUntil = 0;
+
+		this.$emit('replicaRestore', replica);
+
+		return false;
+	}
+
+	/**
+	 * @private
+	 * Tracks a failed query on a replica. Only connection errors count as
+	 * failures, errors from the SQL statement do not. Once the
+	 * {@link #replicaFailureThreshold} has been reached, the replica is removed.
+	 *
+	 * @param {Object} replica
+	 * @param {Error} error
+	 */
+	$onReplicaError (replica, error) {
+		if (!error || !(error.fatal || error.code === 'POOL_CIRCUIT_OPEN')) {
+			return;
+		}
+
+		replica.failures++;
+
+		if (replica.failures >= this.replicaFailureThreshold && !replica.removedUntil) {
+			replica.failures     = 0;
+			replica.removedUntil = new Date().getTime() + this.replicaRemoveTime;
+
+			this.$emit('replicaRemove', replica);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {String} type The name of the event.
+	 * @param {Object} replica The replica the event is about.
+	 */
+	$emit (type, replica) {
+		this.emit(type, {
+			cluster : this,
+			pool    : replica.pool,
+			type
+		});
+	}
+}
+
+module.exports = PoolCluster;
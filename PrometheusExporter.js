@@ -0,0 +1,250 @@
+'use strict';
+
+/**
+ * The metrics that will be exported for each registered pool. The
+ * `samples` function receives the stats from `Pool#getStats` and returns
+ * the label and value pairs for the metric.
+ */
+const metrics = [
+	{
+		name    : 'connections',
+		type    : 'gauge',
+		help    : 'Number of connections by state. Buffering connections are also busy.',
+		samples : stats => [
+			[ { state : 'busy' },      stats.busy ],
+			[ { state : 'free' },      stats.free ],
+			[ { state : 'buffering' }, stats.buffering ]
+		]
+	},
+	{
+		name    : 'connections_open',
+		type    : 'gauge',
+		help    : 'Number of connections held by the pool.',
+		samples : stats => [ [ {}, stats.total ] ]
+	},
+	{
+		name    : 'queue_depth',
+		type    : 'gauge',
+		help    : 'Number of queries waiting on a free connection.',
+		samples : stats => [ [ {}, stats.queued ] ]
+	},
+	{
+		name    : 'acquisitions_total',
+		type    : 'counter',
+		help    : 'Number of times a connection has been handed out.',
+		samples : stats => [ [ {}, stats.acquisitions ] ]
+	},
+	{
+		name    : 'connections_created_total',
+		type    : 'counter',
+		help    : 'Number of connections that have been created.',
+		samples : stats => [ [ {}, stats.connectionsCreated ] ]
+	},
+	{
+		name    : 'connections_destroyed_total',
+		type    : 'counter',
+		help    : 'Number of connections that have been removed.',
+		samples : stats => [ [ {}, stats.connectionsDestroyed ] ]
+	},
+	{
+		name    : 'queries_total',
+		type    : 'counter',
+		help    : 'Number of queries that have been executed.',
+		samples : stats => [ [ {}, stats.queries ] ]
+	},
+	{
+		name    : 'queries_failed_total',
+		type    : 'counter',
+		help    : 'Number of queries that resulted in an error.',
+		samples : stats => [ [ {}, stats.queriesFailed ] ]
+	},
+	{
+		name    : 'queue_rejections_total',
+		type    : 'counter',
+		help    : 'Number of queries rejected because the queue, or the queue of a key, was full.',
+		samples : stats => [ [ {}, stats.queueRejections ] ]
+	},
+	{
+		name    : 'scale_downs_total',
+		type    : 'counter',
+		help    : 'Number of connections that have been scaled down.',
+		samples : stats => [ [ {}, stats.scaleDowns ] ]
+	},
+	{
+		name    : 'timeouts_total',
+		type    : 'counter',
+		help    : 'Number of connections that timed out connecting and queries that timed out queued or running.',
+		samples : stats => [ [ {}, stats.timeouts ] ]
+	},
+	{
+		name      : 'query_duration_seconds',
+		type      : 'histogram',
+		help      : 'Time queries took to execute.',
+		histogram : stats => stats.queryTime
+	},
+	{
+		name      : 'queue_wait_seconds',
+		type      : 'histogram',
+		help      : 'Time queued queries waited on a free connection.',
+		histogram : stats => stats.queueWaitTime
+	}
+];
+
+/**
+ * Turns the stats of one or more pools into the Prometheus text
+ * exposition format.
+ *
+ *     const exporter = new PrometheusExporter({
+ *         labels : { service : 'api' }
+ *     });
+ *
+ *     exporter.register(primary, { pool : 'primary' });
+ *     exporter.register(replica, { pool : 'replica' });
+ *
+ *     const text = exporter.metrics();
+ */
+class PrometheusExporter {
+	/**
+	 * @param {Object} [config]
+	 * @param {String} [config.prefix='mysql_pool_'] The prefix of every metric name.
+	 * @param {Object} [config.labels={}] Labels added to the samples of every pool.
+	 */
+	constructor (config) {
+		Object.assign(this, {
+			labels : {},
+			prefix : 'mysql_pool_'
+		}, config);
+
+		/**
+		 * Holds the registered pools and the labels for each pool.
+		 */
+		this.$pools = new Map();
+	}
+
+	/**
+	 * Adds a pool to export the metrics of. When several pools are registered,
+	 * each should have labels that make its samples unique.
+	 *
+	 * @param {Pool} pool The pool to export.
+	 * @param {Object} [labels={}] Labels added to the samples of this pool.
+	 * @returns {PrometheusExporter}
+	 */
+	register (pool, labels = {}) {
+		this.$pools.set(pool, labels);
+
+		return this;
+	}
+
+	/**
+	 * @param {Pool} pool The pool to stop exporting.
+	 * @returns {PrometheusExporter}
+	 */
+	unregister (pool) {
+		this.$pools.delete(pool);
+
+		return this;
+	}
+
+	/**
+	 * @returns {String} The metrics of all registered pools in the
+	 * Prometheus text exposition format.
+	 */
+	metrics () {
+		const pools = [];
+
+		this.$pools.forEach((labels, pool) => {
+			pools.push({
+				labels : Object.assign({}, this.labels, labels),
+				stats  : pool.getStats()
+			});
+		});
+
+		const lines = [];
+
+		metrics.forEach(metric => {
+			const name = this.prefix + metric.name;
+
+			lines.push(`# HELP ${name} ${metric.help}`);
+			lines.push(`# TYPE ${name} ${metric.type}`);
+
+			pools.forEach(pool => {
+				if (metric.histogram) {
+					this.$histogramLines(lines, name, pool.labels, metric.histogram(pool.stats));
+				} else {
+					metric.samples(pool.stats).forEach(sample => {
+						lines.push(this.$line(name, Object.assign({}, pool.labels, sample[0]), sample[1]));
+					});
+				}
+			});
+		});
+
+		return lines.join('\n') + '\n';
+	}
+
+	/**
+	 * @private
+	 * Adds the bucket, sum and count lines of a histogram. The histogram
+	 * holds milliseconds which will be exported as seconds.
+	 *
+	 * @param {String[]} lines The lines to add to.
+	 * @param {String} name The name of the metric.
+	 * @param {Object} labels The labels of the pool.
+	 * @param {Object} histogram The histogram from `Pool#getStats`.
+	 */
+	$histogramLines (lines, name, labels, histogram) {
+		histogram.buckets.forEach(bucket => {
+			const le = bucket.le === Infinity ? '+Inf' : String(bucket.le / 1000);
+
+			lines.push(this.$line(`${name}_bucket`, Object.assign({}, labels, { le }), bucket.count));
+		});
+
+		lines.push(this.$line(`${name}_sum`,   labels, histogram.sum / 1000));
+		lines.push(this.$line(`${name}_count`, labels, histogram.count));
+	}
+
+	/**
+	 * @private
+	 * @param {String} name The name of the metric.
+	 * @param {Object} labels The labels of the sample.
+	 * @param {Number} value The value of the sample.
+	 * @returns {String} The sample line.
+	 */
+	$line (name, labels, value) {
+		const pairs = Object
+			.keys(labels)
+			.map(key => `${key}="${this.$escape(labels[key])}"`);
+
+		return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${this.$value(value)}`;
+	}
+
+	/**
+	 * @private
+	 * @param {*} value The label value.
+	 * @returns {String} The label value escaped for the exposition format.
+	 */
+	$escape (value) {
+		return String(value)
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/\n/g, '\\n');
+	}
+
+	/**
+	 * @private
+	 * @param {Number} value The sample value.
+	 * @returns {String} The sample value formatted for the exposition format.
+	 */
+	$value (value) {
+		if (value === Infinity) {
+			return '+Inf';
+		} else if (value === -Infinity) {
+			return '-Inf';
+		} else if (typeof value !== 'number' || isNaN(value)) {
+			return 'NaN';
+		}
+
+		return String(value);
+	}
+}
+
+module.exports = PrometheusExporter;
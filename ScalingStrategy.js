@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Decides how many connections a pool should add or remove. The pool calls
+ * the strategy on each acquire, release and tick with a snapshot of its stats
+ * and applies the number of connections returned: a positive number creates
+ * that many connections to be free, a negative number removes that many free
+ * connections, the most idle first.
+ *
+ * The snapshot is the stats from `Pool#getStats` along with:
+ *
+ * - `idle` The milliseconds since each free connection last executed a query,
+ * most idle first. A free connection that never executed a query is `Infinity`.
+ * - `maxConnectionLimit` The current maximum number of connections.
+ * - `minConnectionLimit` The current minimum number of connections.
+ * - `now` The time the snapshot was taken in milliseconds.
+ *
+ * The pool never creates connections above the `maxConnectionLimit` or
+ * removes connections below the `minConnectionLimit`.
+ *
+ * This strategy keeps the `connectionBuffer` of the pool free when a query
+ * or `Pool#getConnection` acquires a connection and removes free connections
+ * that have not executed a query within the `connectionDecay` of the pool on
+ * each tick. To plug in a policy, extend this class or pass any object with
+ * `acquire`, `release` and `tick` methods as the `scalingStrategy` of the pool.
+ */
+class ScalingStrategy {
+	/**
+	 * Called after a query or `Pool#getConnection` acquires a connection and
+	 * when the pool is constructed with `bufferOnConstruct`.
+	 *
+	 * @param {Object} stats The snapshot of the pool.
+	 * @param {Pool} pool The pool being scaled.
+	 * @returns {Number} The number of connections to add or remove.
+	 */
+	acquire (stats, pool) {
+		const buffer = pool.connectionBuffer;
+
+		if (!buffer || stats.total >= stats.maxConnectionLimit || stats.free >= buffer) {
+			return 0;
+		}
+
+		return (
+			stats.total + buffer > stats.maxConnectionLimit ?
+				stats.maxConnectionLimit - stats.total : // buffer would go over the maxConnectionLimit
+				buffer - stats.free
+		) - stats.buffering;
+	}
+
+	/**
+	 * Called after a connection has been released.
+	 *
+	 * @param {Object} stats The snapshot of the pool.
+	 * @param {Pool} pool The pool being scaled.
+	 * @returns {Number} The number of connections to add or remove.
+	 */
+	release () {
+		return 0;
+	}
+
+	/**
+	 * Called every `scaleInterval` of the pool.
+	 *
+	 * @param {Object} stats The snapshot of the pool.
+	 * @param {Pool} pool The pool being scaled.
+	 * @returns {Number} The number of connections to add or remove.
+	 */
+	tick (stats, pool) {
+		const decay = pool.connectionDecay;
+
+		if (!decay) {
+			return 0;
+		}
+
+		return -stats.idle.filter(idle => idle >= decay).length;
+	}
+}
+
+module.exports = ScalingStrategy;
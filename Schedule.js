@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * The day names that can be used for the `days` of a window.
+ */
+const dayNames = {
+	weekdays : [ 1, 2, 3, 4, 5 ],
+	weekends : [ 0, 6 ]
+};
+
+/**
+ * @param {String} time The time of day as `HH:MM`.
+ * @returns {Number} The number of minutes since midnight.
+ */
+function parseTime (time) {
+	const parts = String(time).split(':');
+
+	return Number(parts[0]) * 60 + Number(parts[1] || 0);
+}
+
+/**
+ * Holds time windows of the day and finds the window a date falls in.
+ * Each window has:
+ *
+ * - `days` The days the window starts on, either `weekdays`, `weekends` or
+ * an array of days from `0` (Sunday) to `6` (Saturday). Every day if omitted.
+ * - `start` The local time the window starts as `HH:MM`.
+ * - `end` The local time the window ends as `HH:MM`. A window that ends before
+ * it starts runs past midnight into the next day.
+ *
+ * The first window a date falls in is used.
+ */
+class Schedule {
+	/**
+	 * @param {Object[]} windows The windows in order of precedence.
+	 */
+	constructor (windows) {
+		this.windows = windows.map(window => {
+			const days = typeof window.days === 'string' ? dayNames[ window.days ] : window.days;
+
+			if (!days && window.days) {
+				throw new Error(`Unknown schedule days: ${window.days}`);
+			}
+
+			return {
+				days,
+				end   : parseTime(window.end),
+				start : parseTime(window.start),
+				window
+			};
+		});
+	}
+
+	/**
+	 * @param {Date} date The date to find the window of.
+	 * @returns {Object} The window the date falls in, `null` if the
+	 * date does not fall in any window.
+	 */
+	getWindow (date) {
+		const day     = date.getDay();
+		const minutes = date.getHours() * 60 + date.getMinutes();
+
+		const match = this.windows.find(item => {
+			const { days, end, start } = item;
+
+			if (start <= end) {
+				return minutes >= start && minutes < end && (!days || days.indexOf(day) !== -1);
+			}
+
+			/**
+			 * The window runs past midnight, the early minutes belong
+			 * to the window that started the day before.
+			 */
+			if (minutes >= start) {
+				return !days || days.indexOf(day) !== -1;
+			}
+
+			return minutes < end && (!days || days.indexOf((day + 6) % 7) !== -1);
+		});
+
+		return match ? match.window : null;
+	}
+}
+
+module.exports = Schedule;
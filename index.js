@@ -1,7 +1,23 @@
 'use strict';
 
 module.exports = {
+    get AdaptiveScalingStrategy () {
+        return require('./AdaptiveScalingStrategy');
+    },
+
     get Pool () {
         return require('./Pool');
+    },
+
+    get PoolCluster () {
+        return require('./PoolCluster');
+    },
+
+    get PrometheusExporter () {
+        return require('./PrometheusExporter');
+    },
+
+    get ScalingStrategy () {
+        return require('./ScalingStrategy');
     }
 };
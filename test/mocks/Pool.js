@@ -13,31 +13,41 @@ class PoolMock extends Pool {
 
     $createConnection () {
 		let config           = this.$connectionConfig,
-			connectionConfig = new ConnectionConfig(config);
+			connectionConfig = new ConnectionConfig(config),
+			host             = this.$selectHost();
 
 		connectionConfig.clientFlags   = config.clientFlags;
 		connectionConfig.maxPacketSize = config.maxPacketSize;
 
+		if (host) {
+			connectionConfig.host = host.host;
+			connectionConfig.port = host.port;
+		}
+
 		const connection = new this.connectionClass(this, {
 			config : connectionConfig
 		});
 
+		connection.$host = host;
+
         this.$add(this.$connections, connection);
 
 		return connection;
 	}
 
     $connectConnection (connection) {
-        return new Promise(resolve => {
+        return new Promise((resolve, reject) => {
             this.$add(this.$busyConnections, connection);
 
             /**
              * connection is async, use setTimeout to fake
              */
             setTimeout(() => {
-                this.$releaseConnection(connection);
-
-                resolve(connection);
+                if (this.$closed) {
+                    reject(new Error('This pool is closed'));
+                } else {
+                    resolve(connection);
+                }
             }, 0);
         });
     }
@@ -1,5 +1,7 @@
 'use strict';
 
+const Connection = require('mysql/lib/Connection');
+
 class PoolConnectionMock {
     constructor (pool) {
         if (!pool) {
@@ -21,11 +23,26 @@ class PoolConnectionMock {
         return this._pool.releaseConnection(this);
     }
 
-    query (query) {
+    pause () {}
+
+    resume () {}
+
+    ping (options, callback) {
+        /**
+         * ping is async, use setTimeout to fake
+         */
+        setTimeout(() => callback(null), 0);
+    }
+
+    query (sql, values, callback) {
+        const query = Connection.createQuery(sql, values, callback);
+
         /**
          * query is async, use setTimeout to fake
          */
-        setTimeout(() => query._callback(null, []), 0);
+        setTimeout(() => query._callback && query._callback(null, []), 0);
+
+        return query;
     }
 }
 
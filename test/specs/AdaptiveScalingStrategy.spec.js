@@ -0,0 +1,114 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const AdaptiveScalingStrategy = require('../../AdaptiveScalingStrategy');
+
+describe('AdaptiveScalingStrategy', function () {
+    function snapshot (stats) {
+        return Object.assign({
+            acquisitions       : 0,
+            buffering          : 0,
+            free               : 0,
+            idle               : [],
+            maxConnectionLimit : 50,
+            minConnectionLimit : 0,
+            now                : 0,
+            queryTime          : { count : 0, sum : 0 },
+            queued             : 0,
+            total              : 0
+        }, stats);
+    }
+
+    describe('acquire', function () {
+        it('should scale up to the arrival rate multiplied by the duration', function () {
+            const strategy = new AdaptiveScalingStrategy({ headroom : 1 });
+
+            strategy.acquire(snapshot());
+
+            /**
+             * 100 acquisitions per second of 50ms queries
+             * keeps 5 connections in use.
+             */
+            const num = strategy.acquire(snapshot({
+                acquisitions : 100,
+                now          : 1000,
+                queryTime    : { count : 100, sum : 5000 },
+                total        : 2
+            }));
+
+            expect(num).to.be.equal(3);
+        });
+
+        it('should add the queue depth', function () {
+            const strategy = new AdaptiveScalingStrategy();
+
+            expect(strategy.acquire(snapshot({ queued : 4, total : 1 }))).to.be.equal(3);
+        });
+
+        it('should not measure before the sample interval', function () {
+            const strategy = new AdaptiveScalingStrategy();
+
+            strategy.acquire(snapshot());
+            strategy.acquire(snapshot({
+                acquisitions : 100,
+                now          : 500,
+                queryTime    : { count : 100, sum : 5000 }
+            }));
+
+            expect(strategy.$rate).to.be.equal(0);
+            expect(strategy.$duration).to.be.null;
+        });
+
+        it('should stay within the connection limits', function () {
+            const strategy = new AdaptiveScalingStrategy();
+
+            expect(strategy.getTarget(snapshot({ minConnectionLimit : 2 }))).to.be.equal(2);
+            expect(strategy.getTarget(snapshot({ maxConnectionLimit : 5, queued : 10 }))).to.be.equal(5);
+        });
+    });
+
+    describe('tick', function () {
+        it('should smooth the arrival rate', function () {
+            const strategy = new AdaptiveScalingStrategy({ smoothing : 0.5 });
+
+            strategy.tick(snapshot());
+            strategy.tick(snapshot({ acquisitions : 100, now : 1000 }));
+
+            expect(strategy.$latestRate).to.be.equal(0.1);
+            expect(strategy.$rate).to.be.equal(0.05);
+
+            strategy.tick(snapshot({ acquisitions : 100, now : 2000 }));
+
+            expect(strategy.$latestRate).to.be.equal(0);
+            expect(strategy.$rate).to.be.equal(0.025);
+        });
+
+        it('should scale down gradually', function () {
+            const strategy = new AdaptiveScalingStrategy({ scaleDownStep : 2 });
+
+            expect(strategy.tick(snapshot({ free : 10, total : 10 }))).to.be.equal(-2);
+        });
+
+        it('should only scale down free connections', function () {
+            const strategy = new AdaptiveScalingStrategy({ scaleDownStep : 5 });
+
+            expect(strategy.tick(snapshot({ free : 1, total : 10 }))).to.be.equal(-1);
+        });
+
+        it('should use the latest rate while load is rising', function () {
+            const strategy = new AdaptiveScalingStrategy({ headroom : 1, smoothing : 0.1 });
+
+            strategy.tick(snapshot());
+
+            const num = strategy.tick(snapshot({
+                acquisitions : 200,
+                now          : 1000,
+                queryTime    : { count : 200, sum : 20000 }
+            }));
+
+            expect(num).to.be.equal(20);
+        });
+    });
+});
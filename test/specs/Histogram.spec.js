@@ -0,0 +1,76 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const Histogram = require('../../Histogram');
+
+describe('Histogram', function () {
+    describe('observe', function () {
+        it('should count values into buckets', function () {
+            const instance = new Histogram([ 10, 100 ]);
+
+            instance.observe(5).observe(50).observe(500);
+
+            expect(instance.counts).to.be.deep.equal([ 1, 1, 1 ]);
+            expect(instance.count).to.be.equal(3);
+            expect(instance.sum).to.be.equal(555);
+            expect(instance.min).to.be.equal(5);
+            expect(instance.max).to.be.equal(500);
+        });
+    });
+
+    describe('percentile', function () {
+        it('should return null with no values', function () {
+            const instance = new Histogram();
+
+            expect(instance.percentile(50)).to.be.null;
+        });
+
+        it('should estimate the percentile', function () {
+            const instance = new Histogram([ 10, 20, 30, 40, 50, 60, 70, 80, 90, 100 ]);
+
+            for (let i = 1; i <= 100; i++) {
+                instance.observe(i);
+            }
+
+            expect(instance.percentile(50)).to.be.closeTo(50, 1);
+            expect(instance.percentile(99)).to.be.closeTo(99, 1);
+            expect(instance.percentile(100)).to.be.equal(100);
+        });
+
+        it('should not go beyond the observed values', function () {
+            const instance = new Histogram([ 1000 ]);
+
+            instance.observe(10).observe(20);
+
+            expect(instance.percentile(0)).to.be.at.least(10);
+            expect(instance.percentile(100)).to.be.equal(20);
+        });
+    });
+
+    describe('getBuckets', function () {
+        it('should return cumulative buckets', function () {
+            const instance = new Histogram([ 10, 100 ]);
+
+            instance.observe(5).observe(50).observe(500);
+
+            expect(instance.getBuckets()).to.be.deep.equal([
+                { count : 1, le : 10 },
+                { count : 2, le : 100 },
+                { count : 3, le : Infinity }
+            ]);
+        });
+    });
+
+    describe('reset', function () {
+        it('should clear the values', function () {
+            const instance = new Histogram();
+
+            instance.observe(5).reset();
+
+            expect(instance.count).to.be.equal(0);
+            expect(instance.toJSON()).to.have.property('p50', null);
+        });
+    });
+});
@@ -84,6 +84,244 @@ describe('Pool', function () {
         });
     });
 
+    describe('getCounts', function () {
+        it('should return the counts', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            expect(instance.getCounts()).to.be.deep.equal({
+                busy      : 0,
+                buffering : 0,
+                free      : 1,
+                queued    : 0,
+                total     : 1
+            });
+        });
+
+        it('should return zero counts when closed', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            return instance
+                .end()
+                .then(() => {
+                    expect(instance.getCounts()).to.have.property('total', 0);
+                });
+        });
+    });
+
+    describe('getStats', function () {
+        it('should return counts and totals', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            this.sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                setTimeout(() => query._callback(query.sql === 'FAIL' ? new Error('foo') : null, []), 0);
+            });
+
+            return instance
+                .query('SELECT 1;')
+                .then(() => instance.query('FAIL'))
+                .catch(() => {
+                    const stats = instance.getStats();
+
+                    expect(stats).to.have.property('total',                1);
+                    expect(stats).to.have.property('free',                 1);
+                    expect(stats).to.have.property('connectionsCreated',   1);
+                    expect(stats).to.have.property('connectionsDestroyed', 0);
+                    expect(stats).to.have.property('queries',              2);
+                    expect(stats).to.have.property('queriesFailed',        1);
+                    expect(stats.queryTime).to.have.property('count',      2);
+                });
+        });
+
+        it('should track queue wait time and rejections', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1,
+                queueLimit         : 1
+            });
+
+            const promises = [
+                instance.query('SELECT 1;'),
+                instance.query('SELECT 2;'),
+                instance.query('SELECT 3;').catch(() => {})
+            ];
+
+            return Promise
+                .all(promises)
+                .then(() => {
+                    const stats = instance.getStats();
+
+                    expect(stats).to.have.property('queueRejections', 1);
+                    expect(stats.queueWaitTime).to.have.property('count', 1);
+                    expect(stats.queueWaitTime.p50).to.be.a('number');
+                });
+        });
+
+        it('should track scale downs', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionDecay   : 10,
+                scaleInterval     : 20
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            setTimeout(() => {
+                const stats = instance.getStats();
+
+                expect(stats).to.have.property('scaleDowns',           1);
+                expect(stats).to.have.property('connectionsDestroyed', 1);
+
+                done();
+            }, 30);
+        });
+    });
+
+    describe('events', function () {
+        it('should fire connection lifecycle events', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const types = [];
+
+            [ 'create', 'connect', 'acquire', 'release' ].forEach(type => {
+                instance.on(type, event => types.push(event.type));
+            });
+
+            return instance
+                .query('SELECT 1;')
+                .then(() => {
+                    expect(types).to.be.deep.equal([ 'create', 'connect', 'acquire', 'release' ]);
+                });
+        });
+
+        it('should pass the connection and counts', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('acquire', spy);
+
+            return instance
+                .query('SELECT 1;')
+                .then(() => {
+                    const event = spy.args[0][0];
+
+                    expect(spy).to.be.calledOnce;
+                    expect(event.connection).to.be.an.instanceof(PoolConnectionMock);
+                    expect(event.pool).to.be.equal(instance);
+                    expect(event.counts).to.have.property('total', 1);
+                });
+        });
+
+        it('should fire enqueue and dequeue events', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            const enqueue = this.sandbox.spy();
+            const dequeue = this.sandbox.spy();
+
+            instance.on('enqueue', enqueue);
+            instance.on('dequeue', dequeue);
+
+            return Promise
+                .all([
+                    instance.query('SELECT 1;'),
+                    instance.query('SELECT 2;')
+                ])
+                .then(() => {
+                    expect(enqueue).to.be.calledOnce;
+                    expect(enqueue.args[0][0].counts).to.have.property('queued', 1);
+                    expect(dequeue).to.be.calledOnce;
+                    expect(dequeue.args[0][0].counts).to.have.property('queued', 0);
+                });
+        });
+
+        it('should fire scaleDown and destroy events', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionDecay   : 10,
+                scaleInterval     : 20
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            instance.on('scaleDown', event => {
+                expect(event.connection).to.be.equal(mock);
+
+                instance.on('destroy', event => {
+                    expect(event.connection).to.be.equal(mock);
+                    expect(event.counts).to.have.property('total', 0);
+
+                    done();
+                });
+            });
+        });
+
+        it('should fire error event when a connection fails to connect', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const spy = this.sandbox.spy();
+
+            this.sandbox.stub(instance, '$connectConnection').rejects(new Error('foo'));
+
+            instance.on('error', spy);
+
+            return instance
+                .getConnection()
+                .catch(error => {
+                    expect(error).to.be.an('error');
+                    expect(spy).to.be.calledOnce;
+                    expect(spy.args[0][0]).to.be.equal(error);
+                    expect(instance.$connections.size).to.be.equal(0);
+                });
+        });
+
+        it('should fire end event', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('end', spy);
+
+            return instance
+                .end()
+                .then(() => {
+                    expect(spy).to.be.calledOnce;
+                });
+        });
+    });
+
     describe('end', function () {
         it('should cleanup properties', function () {
             instance = new PoolMock({
@@ -196,7 +434,8 @@ describe('Pool', function () {
 
         it('should get a free connection', function * () {
             instance = new PoolMock({
-                bufferOnConstruct : false
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
             });
 
             const mock = new PoolConnectionMock(instance);
@@ -213,10 +452,11 @@ describe('Pool', function () {
             expect(stub).to.not.be.called;
         });
 
-        it('should return error if maxConnectionLimit is hit', function () {
+        it('should return error if maxConnectionLimit is hit and the queue is full', function () {
             instance = new PoolMock({
                 bufferOnConstruct  : false,
-                maxConnectionLimit : 1
+                maxConnectionLimit : 1,
+                queueLimit         : 0
             });
 
             const mock = new PoolConnectionMock(instance);
@@ -230,6 +470,130 @@ describe('Pool', function () {
                 expect(error).to.be.an('error');
             });
         });
+
+        it('should mark the connection as busy', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const connection = yield instance.getConnection();
+
+            expect(instance.$busyConnections.has(connection)).to.be.true;
+            expect(instance.$freeConnections.has(connection)).to.be.false;
+        });
+
+        it('should wait for a released connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                maxConnectionLimit : 1
+            });
+
+            const first   = yield instance.getConnection();
+            const promise = instance.getConnection();
+
+            expect(instance.$queryQueue.size).to.be.equal(1);
+
+            first.release();
+
+            const second = yield promise;
+
+            expect(second).to.be.equal(first);
+            expect(instance.$busyConnections.has(second)).to.be.true;
+            expect(instance.$freeConnections.size).to.be.equal(0);
+        });
+
+        it('should stop waiting after the acquireTimeout', function * () {
+            instance = new PoolMock({
+                acquireTimeout     : 5,
+                bufferOnConstruct  : false,
+                maxConnectionLimit : 1
+            });
+
+            yield instance.getConnection();
+
+            const error = yield instance.getConnection().catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_QUEUE_TIMEOUT');
+            expect(instance.$queryQueue.size).to.be.equal(0);
+        });
+    });
+
+    describe('validateOnBorrow', function () {
+        function addFree (pool, lastValidated) {
+            const mock = new PoolConnectionMock(pool);
+
+            mock.$lastValidated = lastValidated;
+
+            pool.$add(pool.$connections,     mock);
+            pool.$add(pool.$freeConnections, mock);
+
+            return mock;
+        }
+
+        it('should ping a free connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                validateOnBorrow  : true
+            });
+
+            const mock = addFree(instance);
+            const spy  = this.sandbox.spy(mock, 'ping');
+
+            const connection = yield instance.getConnection();
+
+            expect(connection).to.be.equal(mock);
+            expect(spy).to.be.calledOnce;
+            expect(mock.$lastValidated).to.be.a('number');
+        });
+
+        it('should use the validationQuery', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                validateOnBorrow  : true,
+                validationQuery   : 'SELECT 1'
+            });
+
+            const mock = addFree(instance);
+            const spy  = this.sandbox.spy(mock, 'query');
+
+            yield instance.getConnection();
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].sql).to.be.equal('SELECT 1');
+        });
+
+        it('should replace a connection that fails validation', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0,
+                validateOnBorrow  : true
+            });
+
+            const mock = addFree(instance);
+
+            this.sandbox.stub(mock, 'ping', (options, callback) => callback(new Error('foo')));
+
+            const connection = yield instance.getConnection();
+
+            expect(connection).to.not.be.equal(mock);
+            expect(instance.$connections.has(mock)).to.be.false;
+            expect(instance.$connections.size).to.be.equal(1);
+        });
+
+        it('should skip validating a recently validated connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                validateOnBorrow   : true,
+                validationInterval : 10000
+            });
+
+            const mock = addFree(instance, new Date().getTime());
+            const spy  = this.sandbox.spy(mock, 'ping');
+
+            yield instance.getConnection();
+
+            expect(spy).to.not.be.called;
+        });
     });
 
     describe('query', function () {
@@ -359,31 +723,1634 @@ describe('Pool', function () {
         });
     });
 
-    describe('releaseConnection', function () {
-        it('should release the connection', function () {
-            instance = new PoolMock({
-                bufferOnConstruct : false
+    describe('queue timeout', function () {
+        beforeEach(function () {
+            this.sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                setTimeout(() => query._callback(null, []), 20);
             });
+        });
 
-            const mock = new PoolConnectionMock(instance);
+        it('should reject a query waiting longer than queueTimeout', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1,
+                queueTimeout       : 5
+            });
 
-            instance.$add(instance.$connections,     mock);
-            instance.$add(instance.$freeConnections, mock);
+            const first  = instance.query('SELECT 1;');
+            const second = instance.query('SELECT 2;');
 
-            return instance
-                .releaseConnection(mock)
+            return second
                 .then(() => {
-                    expect(instance.$connections.size).to.be.equal(1);
-                    expect(instance.$busyConnections.size).to.be.equal(0);
-                    expect(instance.$freeConnections.size).to.be.equal(1);
+                    expect(second).to.not.be.fulfilled;
+                })
+                .catch(error => {
+                    expect(error).to.have.property('code', 'POOL_QUEUE_TIMEOUT');
+                    expect(instance.$queryQueue.size).to.be.equal(0);
+                    expect(instance.getStats()).to.have.property('timeouts', 1);
+
+                    return first;
                 });
         });
-    });
 
-    describe('_purgeConnection', function () {
-        it('should purge the connection', function () {
+        it('should allow overriding queueTimeout per query', function () {
             instance = new PoolMock({
-                bufferOnConstruct : false
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1,
+                queueTimeout       : 5
+            });
+
+            return Promise.all([
+                instance.query('SELECT 1;'),
+                instance.query('SELECT 2;', undefined, { queueTimeout : 0 })
+            ]);
+        });
+
+        it('should remove an aborted query from the queue', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            const controller = new AbortController();
+            const first      = instance.query('SELECT 1;');
+            const second     = instance.query('SELECT 2;', undefined, { signal : controller.signal });
+
+            expect(instance.$queryQueue.size).to.be.equal(1);
+
+            controller.abort();
+
+            return second
+                .then(() => {
+                    expect(second).to.not.be.fulfilled;
+                })
+                .catch(error => {
+                    expect(error).to.have.property('name', 'AbortError');
+                    expect(instance.$queryQueue.size).to.be.equal(0);
+
+                    return first;
+                });
+        });
+
+        it('should reject a query with an aborted signal', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const controller = new AbortController();
+
+            controller.abort();
+
+            return instance
+                .query('SELECT 1;', undefined, { signal : controller.signal })
+                .then(() => {
+                    throw new Error('Query should not have been executed');
+                }, error => {
+                    expect(error).to.have.property('code', 'ABORT_ERR');
+                    expect(instance.$connections.size).to.be.equal(0);
+                });
+        });
+
+        it('should reject queued queries when the pool ends', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            instance.query('SELECT 1;').catch(() => {});
+
+            const second = instance.query('SELECT 2;');
+
+            return instance
+                .destroy()
+                .then(() => second)
+                .then(() => {
+                    throw new Error('Query should not have been executed');
+                }, error => {
+                    expect(error.message).to.be.equal('This pool is closed');
+                });
+        });
+    });
+
+    describe('queue priority', function () {
+        it('should hand connections to higher priorities first', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            const order = [];
+            const query = (name, priority) => instance
+                .query('SELECT 1;', undefined, { priority })
+                .then(() => order.push(name));
+
+            return Promise
+                .all([
+                    query('first'),
+                    query('report', -1),
+                    query('normal'),
+                    query('interactive', 10),
+                    query('normal2', 0)
+                ])
+                .then(() => {
+                    expect(order).to.be.deep.equal([ 'first', 'interactive', 'normal', 'normal2', 'report' ]);
+                });
+        });
+
+        it('should age queued entries', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                queueAgingInterval : 100
+            });
+
+            const now    = new Date().getTime();
+            const report = { options : {}, priority : -1, queuedAt : now - 350 };
+            const normal = { options : {}, priority : 1,  queuedAt : now };
+
+            instance.$add(instance.$queryQueue, normal);
+            instance.$add(instance.$queryQueue, report);
+
+            expect(instance.$nextQueued()).to.be.equal(report);
+            expect(instance.$nextQueued()).to.be.equal(normal);
+            expect(instance.$queryQueue.size).to.be.equal(0);
+        });
+    });
+
+    describe('fair queueing', function () {
+        it('should take queued queries from the keys in turn', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            const order = [];
+            const query = (name, key) => instance
+                .query('SELECT 1;', undefined, { key })
+                .then(() => order.push(name));
+
+            return Promise
+                .all([
+                    query('first'),
+                    query('a1', 'a'),
+                    query('a2', 'a'),
+                    query('a3', 'a'),
+                    query('b1', 'b'),
+                    query('c1', 'c')
+                ])
+                .then(() => {
+                    expect(order).to.be.deep.equal([ 'first', 'a1', 'b1', 'c1', 'a2', 'a3' ]);
+                    expect(instance.$keyTurns.size).to.be.equal(0);
+                });
+        });
+
+        it('should queue a key at the maxConcurrentPerKey', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct   : false,
+                maxConcurrentPerKey : 2
+            });
+
+            const connection1 = yield instance.getConnection({ key : 'a' });
+
+            yield instance.getConnection({ key : 'a' });
+
+            const third = instance.getConnection({ key : 'a' });
+
+            expect(instance.$queryQueue.size).to.be.equal(1);
+
+            const other = yield instance.getConnection({ key : 'b' });
+
+            expect(other).to.be.ok;
+            expect(instance.$keyConnections.get('a')).to.be.equal(2);
+
+            connection1.release();
+
+            const connection3 = yield third;
+
+            expect(connection3).to.be.equal(connection1);
+            expect(instance.$queryQueue.size).to.be.equal(0);
+        });
+
+        it('should reject a key at the maxQueuedPerKey', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                maxConnectionLimit : 1,
+                maxQueuedPerKey    : 1
+            });
+
+            const connection = yield instance.getConnection();
+            const queued     = instance.getConnection({ key : 'a' });
+            const error      = yield instance.getConnection({ key : 'a' }).catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_KEY_LIMIT');
+            expect(instance.getStats()).to.have.property('queueRejections', 1);
+
+            connection.release();
+
+            yield queued;
+        });
+
+        it('should stop counting a destroyed connection for its key', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct   : false,
+                maxConcurrentPerKey : 1
+            });
+
+            const connection = yield instance.getConnection({ key : 'a' });
+
+            connection.destroy();
+
+            expect(instance.$keyConnections.has('a')).to.be.false;
+
+            yield instance.getConnection({ key : 'a' });
+        });
+
+        it('should hand a free connection to the key once a connection is destroyed', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct   : false,
+                connectionBuffer    : 0,
+                maxConcurrentPerKey : 1
+            });
+
+            const connection = yield instance.getConnection({ key : 'a' });
+            const free       = yield instance.getConnection();
+
+            free.release();
+
+            const promise = instance.getConnection({ key : 'a', queueTimeout : 100 });
+
+            expect(instance.$queryQueue.size).to.be.equal(1);
+
+            connection.destroy();
+
+            const next = yield promise;
+
+            expect(next).to.be.equal(free);
+            expect(instance.$queryQueue.size).to.be.equal(0);
+            expect(instance.$keyConnections.get('a')).to.be.equal(1);
+        });
+
+        it('should create a connection for the key once a connection is destroyed', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct   : false,
+                connectionBuffer    : 0,
+                maxConcurrentPerKey : 1
+            });
+
+            const connection = yield instance.getConnection({ key : 'a' });
+            const promise    = instance.getConnection({ key : 'a', queueTimeout : 100 });
+
+            connection.destroy();
+
+            const next = yield promise;
+
+            expect(next).to.not.be.equal(connection);
+            expect(instance.$connections.size).to.be.equal(1);
+        });
+    });
+
+    describe('use', function () {
+        it('should run the middleware in order around the query', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const calls = [];
+            const mock  = this.sandbox.stub(instance, '$query').resolves([ 'foo' ]);
+
+            instance
+                .use((ctx, next) => {
+                    calls.push('first');
+
+                    return next().then(results => results.concat('first'));
+                })
+                .use((ctx, next) => {
+                    calls.push('second');
+
+                    expect(ctx.pool).to.be.equal(instance);
+                    expect(instance.$busyConnections.has(ctx.connection)).to.be.true;
+
+                    ctx.sql = `/* request:1 */ ${ctx.sql}`;
+
+                    return next();
+                });
+
+            const result = yield instance.query('SELECT 1;', [ 1 ], { priority : 1 });
+
+            expect(calls).to.be.deep.equal([ 'first', 'second' ]);
+            expect(result).to.be.deep.equal([ 'foo', 'first' ]);
+            expect(mock).to.be.calledOnce;
+            expect(mock.args[0][1]).to.be.equal('/* request:1 */ SELECT 1;');
+            expect(mock.args[0][2]).to.be.deep.equal([ 1 ]);
+            expect(mock.args[0][3]).to.be.deep.equal({ priority : 1 });
+        });
+
+        it('should release the connection when short circuited', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const mock = this.sandbox.stub(instance, '$query').resolves([]);
+
+            instance.use(() => [ 'cached' ]);
+
+            const result = yield instance.query('SELECT 1;');
+
+            expect(result).to.be.deep.equal([ 'cached' ]);
+            expect(mock).to.not.be.called;
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should transform errors', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            this.sandbox.stub(instance, '$query').rejects(new Error('foo'));
+
+            instance.use((ctx, next) => next().catch((error) => {
+                throw new Error(`${error.message}: ${ctx.sql}`);
+            }));
+
+            const error = yield instance.query('SELECT 1;').catch(error => error);
+
+            expect(error.message).to.be.equal('foo: SELECT 1;');
+        });
+
+        it('should release the connection when a middleware throws', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            instance.use(() => {
+                throw new Error('foo');
+            });
+
+            const error = yield instance.query('SELECT 1;').catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should run the middleware for queued queries', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            const spy = this.sandbox.spy((ctx, next) => next());
+
+            instance.use(spy);
+
+            yield Promise.all([
+                instance.query('SELECT 1;'),
+                instance.query('SELECT 2;')
+            ]);
+
+            expect(spy).to.be.calledTwice;
+            expect(spy.args[1][0].sql).to.be.equal('SELECT 2;');
+        });
+
+        it('should reject next() called multiple times', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            instance.use((ctx, next) => next().then(() => next()));
+
+            const error = yield instance.query('SELECT 1;').catch(error => error);
+
+            expect(error.message).to.be.equal('next() was called multiple times');
+        });
+
+        it('should throw for a middleware that is not a function', function () {
+            instance = new PoolMock();
+
+            expect(() => instance.use({})).to.throw('A middleware must be a function');
+        });
+    });
+
+    describe('query timeout and abort', function () {
+        function sideConnection (sandbox, error) {
+            return {
+                end   : sandbox.spy(),
+                query : sandbox.spy((sql, callback) => setTimeout(() => callback(error), 0))
+            };
+        }
+
+        beforeEach(function () {
+            this.sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                this.threadId = 42;
+
+                setTimeout(() => query._callback(new Error('Query execution was interrupted')), 20);
+            });
+        });
+
+        it('should reject and kill a query running longer than the timeout', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const side  = sideConnection(this.sandbox);
+            const stub  = this.sandbox.stub(instance, '$createSideConnection').returns(side);
+            const error = yield instance.query('SELECT SLEEP(10);', undefined, { timeout : 5 }).catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_QUERY_TIMEOUT');
+            expect(instance.getStats()).to.have.property('timeouts', 1);
+            expect(instance.$busyConnections.size).to.be.equal(1);
+
+            yield new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(stub).to.be.calledOnce;
+            expect(side.query).to.be.calledWith('KILL QUERY 42');
+            expect(side.end).to.be.calledOnce;
+            expect(instance.$busyConnections.size).to.be.equal(0);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should keep the connection busy until the kill finishes', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            let finishKill;
+
+            this.sandbox.stub(instance, '$killQuery').returns(new Promise(resolve => {
+                finishKill = resolve;
+            }));
+
+            yield instance.query('SELECT SLEEP(10);', undefined, { timeout : 5 }).catch(() => {});
+            yield new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(instance.$busyConnections.size).to.be.equal(1);
+
+            finishKill();
+
+            yield new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should emit an error when the kill fails', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const spy = this.sandbox.spy();
+
+            this.sandbox.stub(instance, '$createSideConnection').returns(sideConnection(this.sandbox, new Error('foo')));
+
+            instance.on('error', spy);
+
+            yield instance.query('SELECT SLEEP(10);', undefined, { timeout : 5 }).catch(() => {});
+            yield new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].message).to.be.equal('foo');
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should wait for a kill to finish past the killConnectionLimit', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct   : false,
+                connectionBuffer    : 0,
+                killConnectionLimit : 1
+            });
+
+            /**
+             * Holds each side query open until its callback is called.
+             */
+            const side = {
+                end   : this.sandbox.spy(),
+                query : this.sandbox.spy(() => side.onQuery && side.onQuery())
+            };
+            const stub = this.sandbox.stub(instance, '$createSideConnection').returns(side);
+
+            const errors = yield Promise.all([
+                instance.query('SELECT SLEEP(10);', undefined, { timeout : 5 }).catch(error => error),
+                instance.query('SELECT SLEEP(10);', undefined, { timeout : 5 }).catch(error => error)
+            ]);
+
+            expect(errors[0]).to.have.property('code', 'POOL_QUERY_TIMEOUT');
+            expect(errors[1]).to.have.property('code', 'POOL_QUERY_TIMEOUT');
+            expect(stub).to.be.calledOnce;
+            expect(instance.$killQueue).to.have.lengthOf(1);
+
+            const killed = new Promise((resolve) => {
+                side.onQuery = resolve;
+            });
+
+            side.query.args[0][1](null);
+
+            yield killed;
+
+            expect(stub).to.be.calledTwice;
+            expect(side.query.args[1][0]).to.be.equal('KILL QUERY 42');
+
+            const released = new Promise((resolve) => {
+                let count = 0;
+
+                instance.on('release', () => ++count === 2 && resolve());
+            });
+
+            side.query.args[1][1](null);
+
+            yield released;
+
+            expect(instance.$kills).to.be.equal(0);
+            expect(instance.$freeConnections.size).to.be.equal(2);
+        });
+
+        it('should reject and kill a running query when aborted', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const controller = new AbortController();
+            const side       = sideConnection(this.sandbox);
+
+            this.sandbox.stub(instance, '$createSideConnection').returns(side);
+
+            const promise = instance.query('SELECT SLEEP(10);', undefined, { signal : controller.signal });
+
+            yield new Promise(resolve => setTimeout(resolve, 5));
+
+            controller.abort();
+
+            const error = yield promise.catch(error => error);
+
+            expect(error).to.have.property('name', 'AbortError');
+            expect(side.query).to.be.calledWith('KILL QUERY 42');
+
+            yield new Promise(resolve => setTimeout(resolve, 30));
+
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should kill once when aborted after the timeout', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const controller = new AbortController();
+            const stub       = this.sandbox.stub(instance, '$killQuery').resolves();
+
+            const error = yield instance
+                .query('SELECT SLEEP(10);', undefined, { signal : controller.signal, timeout : 5 })
+                .catch(error => error);
+
+            controller.abort();
+
+            expect(error).to.have.property('code', 'POOL_QUERY_TIMEOUT');
+            expect(stub).to.be.calledOnce;
+
+            yield new Promise(resolve => setTimeout(resolve, 30));
+        });
+
+        it('should not kill a query within the timeout', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const stub = this.sandbox.stub(instance, '$killQuery');
+
+            yield instance.query('SELECT 1;', undefined, { timeout : 100 }).catch(() => {});
+
+            expect(stub).to.not.be.called;
+        });
+    });
+
+    describe('slow query log', function () {
+        beforeEach(function () {
+            this.sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                this.threadId = 42;
+
+                setTimeout(() => query._callback(null, []), 20);
+            });
+        });
+
+        it('should emit a slow query', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryThreshold : 10
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield instance.query('SELECT * FROM foo WHERE id = ?;', [ 1 ]);
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0]).to.have.property('sql', 'SELECT * FROM foo WHERE id = ?;');
+            expect(spy.args[0][0]).to.have.property('threadId', 42);
+            expect(spy.args[0][0]).to.have.property('queueTime', 0);
+            expect(spy.args[0][0]).to.have.property('plan', null);
+            expect(spy.args[0][0].values).to.be.deep.equal([ 1 ]);
+            expect(spy.args[0][0].duration).to.be.at.least(10);
+        });
+
+        it('should not emit a query within the threshold', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryThreshold : 1000
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield instance.query('SELECT 1;');
+
+            expect(spy).to.not.be.called;
+        });
+
+        it('should redact the values', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryRedact    : values => values.map(() => '?'),
+                slowQueryThreshold : 10
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield instance.query('SELECT * FROM users WHERE password = ?;', [ 'secret' ]);
+
+            expect(spy.args[0][0].values).to.be.deep.equal([ '?' ]);
+        });
+
+        it('should report the time spent queued', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1,
+                slowQueryThreshold : 10
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield Promise.all([
+                instance.query('SELECT 1;'),
+                instance.query('SELECT 2;')
+            ]);
+
+            expect(spy).to.be.calledTwice;
+            expect(spy.args[0][0].queueTime).to.be.equal(0);
+            expect(spy.args[1][0].queueTime).to.be.at.least(10);
+        });
+
+        it('should attach the plan of a slow select', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryExplain   : true,
+                slowQueryThreshold : 10
+            });
+
+            const plan = [ { type : 'ALL' } ];
+            const side = {
+                end   : this.sandbox.spy(),
+                query : this.sandbox.spy((sql, callback) => setTimeout(() => callback(null, plan), 0))
+            };
+
+            this.sandbox.stub(instance, '$createSideConnection').returns(side);
+
+            const report = yield new Promise((resolve) => {
+                instance.on('slowQuery', resolve);
+
+                instance.query('SELECT * FROM foo;');
+            });
+
+            expect(side.query).to.be.calledWith('EXPLAIN SELECT * FROM foo;');
+            expect(report.plan).to.be.equal(plan);
+        });
+
+        it('should not explain a statement being explained or past the limit', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct      : false,
+                connectionBuffer       : 0,
+                explainConnectionLimit : 1,
+                slowQueryExplain       : true,
+                slowQueryThreshold     : 10
+            });
+
+            /**
+             * Holds each side query open until its callback is called.
+             */
+            const side = {
+                end   : this.sandbox.spy(),
+                query : this.sandbox.spy()
+            };
+            const stub = this.sandbox.stub(instance, '$createSideConnection').returns(side);
+            const spy  = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield Promise.all([
+                instance.query('SELECT * FROM foo;'),
+                instance.query('SELECT * FROM foo;'),
+                instance.query('SELECT * FROM bar;')
+            ]);
+
+            expect(stub).to.be.calledOnce;
+            expect(spy).to.be.calledTwice;
+            expect(spy.args[0][0].plan).to.be.null;
+            expect(spy.args[1][0].plan).to.be.null;
+
+            const plan     = [ { type : 'ALL' } ];
+            const reported = new Promise(resolve => instance.once('slowQuery', resolve));
+
+            side.query.args[0][1](null, plan);
+
+            const report = yield reported;
+
+            expect(report.plan).to.be.equal(plan);
+            expect(instance.$explaining.size).to.be.equal(0);
+        });
+
+        it('should kill a query while a slow query is being explained', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryExplain   : true,
+                slowQueryThreshold : 10
+            });
+
+            /**
+             * Holds each side query open until its callback is called.
+             */
+            const side = {
+                end   : this.sandbox.spy(),
+                query : this.sandbox.spy()
+            };
+
+            this.sandbox.stub(instance, '$createSideConnection').returns(side);
+
+            instance.on('slowQuery', this.sandbox.spy());
+
+            yield instance.query('SELECT * FROM foo;');
+
+            expect(side.query).to.be.calledOnce;
+            expect(side.query.args[0][0]).to.be.equal('EXPLAIN SELECT * FROM foo;');
+
+            const error = yield instance.query('SELECT * FROM bar;', undefined, { timeout : 5 }).catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_QUERY_TIMEOUT');
+            expect(side.query).to.be.calledTwice;
+            expect(side.query.args[1][0]).to.be.equal('KILL QUERY 42');
+
+            const released = new Promise(resolve => instance.once('release', resolve));
+
+            side.query.args[1][1](null);
+            side.query.args[0][1](null, []);
+
+            yield released;
+        });
+
+        it('should not explain other statements', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                slowQueryExplain   : true,
+                slowQueryThreshold : 10
+            });
+
+            const stub = this.sandbox.stub(instance, '$createSideConnection');
+            const spy  = this.sandbox.spy();
+
+            instance.on('slowQuery', spy);
+
+            yield instance.query('UPDATE foo SET bar = 1;');
+
+            expect(stub).to.not.be.called;
+            expect(spy).to.be.calledOnce;
+        });
+    });
+
+    describe('stream', function () {
+        /**
+         * Emits the rows as the mysql Query would then ends the query.
+         */
+        function emitRows (sandbox, rows, error) {
+            return sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                query._connection = this;
+
+                const emit = (index) => {
+                    if (index < rows.length) {
+                        query.emit('result', rows[ index ], 0);
+
+                        setTimeout(() => emit(index + 1), 0);
+                    } else {
+                        if (error) {
+                            query.emit('error', error);
+                        }
+
+                        query.emit('end');
+                    }
+                };
+
+                setTimeout(() => {
+                    query.emit('fields', [ { name : 'id' } ]);
+
+                    emit(0);
+                }, 0);
+            });
+        }
+
+        it('should stream the rows and release the connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            emitRows(this.sandbox, [ { id : 1 }, { id : 2 }, { id : 3 } ]);
+
+            const fields = this.sandbox.spy();
+            const rows   = [];
+            const stream = instance.stream('SELECT * FROM foo;');
+
+            stream.on('fields', fields);
+
+            yield new Promise((resolve, reject) => {
+                stream
+                    .on('data', row => rows.push(row))
+                    .on('end', resolve)
+                    .on('error', reject);
+            });
+
+            expect(rows).to.be.deep.equal([ { id : 1 }, { id : 2 }, { id : 3 } ]);
+            expect(fields).to.be.calledOnce;
+            expect(instance.$freeConnections.size).to.be.equal(1);
+            expect(instance.getStats()).to.have.property('queries', 1);
+        });
+
+        it('should be an async iterator', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            emitRows(this.sandbox, [ { id : 1 }, { id : 2 } ]);
+
+            const rows = [];
+            const next = (iterator) => iterator.next().then((item) => {
+                if (!item.done) {
+                    rows.push(item.value);
+
+                    return next(iterator);
+                }
+            });
+
+            return next(instance.stream('SELECT * FROM foo;')[ Symbol.asyncIterator ]())
+                .then(() => {
+                    expect(rows).to.have.lengthOf(2);
+                });
+        });
+
+        it('should pause the connection while the stream is full', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const paused = new Promise(resolve => this.sandbox.stub(PoolConnectionMock.prototype, 'pause', resolve));
+
+            emitRows(this.sandbox, [ { id : 1 }, { id : 2 }, { id : 3 }, { id : 4 } ]);
+
+            const stream = instance.stream('SELECT * FROM foo;', undefined, { highWaterMark : 1 });
+
+            yield paused;
+
+            stream.resume();
+
+            yield new Promise(resolve => stream.on('end', resolve));
+        });
+
+        it('should kill the query when destroyed early', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const resume = this.sandbox.spy(PoolConnectionMock.prototype, 'resume');
+            const kill   = this.sandbox.stub(instance, '$killQuery').returns(Promise.resolve());
+
+            emitRows(this.sandbox, [ { id : 1 }, { id : 2 }, { id : 3 } ]);
+
+            const stream = instance.stream('SELECT * FROM foo;', undefined, { highWaterMark : 1 });
+
+            yield new Promise(resolve => stream.once('data', resolve));
+
+            const released = new Promise(resolve => instance.once('release', resolve));
+
+            stream.destroy();
+
+            expect(instance.$busyConnections.size).to.be.equal(1);
+
+            yield released;
+
+            expect(kill).to.be.calledOnce;
+            expect(resume).to.be.called;
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should keep the connection busy until the kill finishes', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            let finishKill;
+
+            this.sandbox.stub(instance, '$killQuery').returns(new Promise((resolve) => {
+                finishKill = resolve;
+            }));
+
+            const query  = emitRows(this.sandbox, [ { id : 1 }, { id : 2 } ]);
+            const stream = instance.stream('SELECT * FROM foo;', undefined, { highWaterMark : 1 });
+
+            yield new Promise(resolve => stream.once('data', resolve));
+
+            const ended = new Promise(resolve => query.args[0][0].once('end', resolve));
+
+            stream.destroy();
+
+            yield ended;
+
+            expect(instance.$busyConnections.size).to.be.equal(1);
+
+            const released = new Promise(resolve => instance.once('release', resolve));
+
+            finishKill();
+
+            yield released;
+
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should destroy the stream on a query error', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            emitRows(this.sandbox, [ { id : 1 } ], new Error('foo'));
+
+            const stream = instance.stream('SELECT * FROM foo;');
+
+            stream.resume();
+
+            const error = yield new Promise(resolve => stream.on('error', resolve));
+
+            expect(error.message).to.be.equal('foo');
+            expect(instance.$freeConnections.size).to.be.equal(1);
+            expect(instance.getStats()).to.have.property('queriesFailed', 1);
+        });
+
+        it('should destroy the stream when acquiring fails', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                maxConnectionLimit : 0,
+                queueLimit         : 0
+            });
+
+            const stream = instance.stream('SELECT * FROM foo;');
+            const error  = yield new Promise(resolve => stream.on('error', resolve));
+
+            expect(error.message).to.be.equal('Query queue is full');
+        });
+    });
+
+    describe('withConnection', function () {
+        it('should release the connection when the callback resolves', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const result = yield instance.withConnection((connection) => {
+                expect(instance.$busyConnections.has(connection)).to.be.true;
+
+                return 'foo';
+            });
+
+            expect(result).to.be.equal('foo');
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should not hand the connection to a query while the callback runs', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            yield instance.withConnection(connection => instance
+                .query('SELECT 1;')
+                .then(() => {
+                    expect(instance.$connections.size).to.be.equal(2);
+                    expect(instance.$busyConnections.has(connection)).to.be.true;
+                })
+            );
+
+            expect(instance.$freeConnections.size).to.be.equal(2);
+        });
+
+        it('should release the connection when the callback throws', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const error = yield instance
+                .withConnection(() => {
+                    throw new Error('foo');
+                })
+                .catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should destroy the connection on a fatal error', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const fatal = new Error('Connection lost');
+
+            fatal.fatal = true;
+
+            const error = yield instance
+                .withConnection(() => Promise.reject(fatal))
+                .catch(error => error);
+
+            expect(error).to.be.equal(fatal);
+            expect(instance.$connections.size).to.be.equal(0);
+        });
+
+        it('should not release a connection the callback released', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxConnectionLimit : 1
+            });
+
+            let other;
+
+            yield instance.withConnection((connection) => {
+                const next = instance.getConnection().then((connection) => {
+                    other = connection;
+                });
+
+                connection.release();
+
+                return next;
+            });
+
+            expect(instance.$busyConnections.has(other)).to.be.true;
+        });
+    });
+
+    describe('leak detection', function () {
+        it('should emit a leak with the acquisition stack', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct      : false,
+                connectionBuffer       : 0,
+                leakDetectionThreshold : 10
+            });
+
+            const spy        = this.sandbox.spy();
+            const connection = yield instance.getConnection();
+
+            instance.on('leak', spy);
+
+            yield new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].connection).to.be.equal(connection);
+            expect(spy.args[0][0].heldFor).to.be.at.least(10);
+            expect(spy.args[0][0].reclaimed).to.be.false;
+            expect(spy.args[0][0].stack).to.contain('Pool.spec.js');
+            expect(instance.$busyConnections.has(connection)).to.be.true;
+        });
+
+        it('should not emit a leak once released', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct      : false,
+                connectionBuffer       : 0,
+                leakDetectionThreshold : 10
+            });
+
+            const spy        = this.sandbox.spy();
+            const connection = yield instance.getConnection();
+
+            instance.on('leak', spy);
+
+            connection.release();
+
+            yield new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(spy).to.not.be.called;
+        });
+
+        it('should reclaim a leaked connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct      : false,
+                connectionBuffer       : 0,
+                leakDetectionThreshold : 10,
+                maxConnectionLimit     : 1,
+                reclaimLeaks           : true
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('leak', spy);
+
+            const connection = yield instance.getConnection();
+            const other      = yield instance.getConnection({ queueTimeout : 100 });
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].reclaimed).to.be.true;
+            expect(instance.$connections.has(connection)).to.be.false;
+            expect(instance.$connections.has(other)).to.be.true;
+        });
+    });
+
+    describe('transaction', function () {
+        let statements;
+
+        beforeEach(function () {
+            statements = [];
+
+            this.sandbox.stub(PoolConnectionMock.prototype, 'query', function (query) {
+                const error = this.errors && this.errors[query.sql] && this.errors[query.sql].shift();
+
+                statements.push(query.sql);
+
+                setTimeout(() => query._callback(error || null, []), 0);
+            });
+        });
+
+        it('should commit when the callback resolves', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const result = yield instance.transaction(connection => {
+                expect(instance.$busyConnections.has(connection)).to.be.true;
+
+                return 'foo';
+            });
+
+            expect(result).to.be.equal('foo');
+            expect(statements).to.be.deep.equal([ 'START TRANSACTION', 'COMMIT' ]);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should rollback when the callback throws', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const error = yield instance
+                .transaction(() => {
+                    throw new Error('foo');
+                })
+                .catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(statements).to.be.deep.equal([ 'START TRANSACTION', 'ROLLBACK' ]);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should destroy the connection when the rollback fails', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const error = yield instance
+                .transaction((connection) => {
+                    connection.errors = { ROLLBACK : [ new Error('bar') ] };
+
+                    throw new Error('foo');
+                })
+                .catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(instance.$connections.size).to.be.equal(0);
+            expect(instance.$freeConnections.size).to.be.equal(0);
+        });
+
+        it('should set the isolation level and read only', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            yield instance.transaction(() => {}, {
+                isolationLevel : 'READ COMMITTED',
+                readOnly       : true
+            });
+
+            expect(statements).to.be.deep.equal([
+                'SET TRANSACTION ISOLATION LEVEL READ COMMITTED',
+                'START TRANSACTION READ ONLY',
+                'COMMIT'
+            ]);
+        });
+
+        it('should reject an unknown isolation level', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const error = yield instance
+                .transaction(() => {}, { isolationLevel : 'foo; DROP TABLE bar' })
+                .catch(error => error);
+
+            expect(error).to.be.an('error');
+            expect(statements).to.be.empty;
+        });
+
+        it('should retry on a deadlock', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            let attempts = 0;
+
+            const result = yield instance.transaction(() => {
+                attempts++;
+
+                if (attempts < 3) {
+                    const error = new Error('Deadlock found');
+
+                    error.code = 'ER_LOCK_DEADLOCK';
+
+                    throw error;
+                }
+
+                return attempts;
+            }, {
+                retries    : 3,
+                retryDelay : 1
+            });
+
+            expect(result).to.be.equal(3);
+            expect(statements).to.be.deep.equal([
+                'START TRANSACTION', 'ROLLBACK',
+                'START TRANSACTION', 'ROLLBACK',
+                'START TRANSACTION', 'COMMIT'
+            ]);
+        });
+
+        it('should use a savepoint for a nested transaction', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const result = yield instance.transaction(connection => instance
+                .transaction(() => 'foo', { connection })
+                .then(result => instance.transaction(() => result + 'bar', { connection }))
+            );
+
+            expect(result).to.be.equal('foobar');
+            expect(statements).to.be.deep.equal([
+                'START TRANSACTION',
+                'SAVEPOINT sp_1', 'RELEASE SAVEPOINT sp_1',
+                'SAVEPOINT sp_1', 'RELEASE SAVEPOINT sp_1',
+                'COMMIT'
+            ]);
+        });
+
+        it('should rollback to the savepoint and carry on the outer transaction', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0
+            });
+
+            const result = yield instance.transaction(connection => instance
+                .transaction(() => instance.transaction(() => {
+                    throw new Error('foo');
+                }, { connection }), { connection })
+                .catch(error => error.message)
+            );
+
+            expect(result).to.be.equal('foo');
+            expect(statements).to.be.deep.equal([
+                'START TRANSACTION',
+                'SAVEPOINT sp_1',
+                'SAVEPOINT sp_2', 'ROLLBACK TO SAVEPOINT sp_2',
+                'ROLLBACK TO SAVEPOINT sp_1',
+                'COMMIT'
+            ]);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+        });
+
+        it('should not release a passed connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const connection = yield instance.getConnection();
+
+            yield instance.transaction(() => {}, { connection });
+
+            expect(statements).to.be.deep.equal([ 'START TRANSACTION', 'COMMIT' ]);
+            expect(instance.$busyConnections.has(connection)).to.be.true;
+        });
+
+        it('should not retry other errors', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const spy   = this.sandbox.stub().throws(new Error('foo'));
+            const error = yield instance
+                .transaction(spy, { retries : 3, retryDelay : 1 })
+                .catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(spy).to.be.calledOnce;
+        });
+    });
+
+    describe('releaseConnection', function () {
+        it('should release the connection', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            return instance
+                .releaseConnection(mock)
+                .then(() => {
+                    expect(instance.$connections.size).to.be.equal(1);
+                    expect(instance.$busyConnections.size).to.be.equal(0);
+                    expect(instance.$freeConnections.size).to.be.equal(1);
+                });
+        });
+    });
+
+    describe('_purgeConnection', function () {
+        it('should purge the connection', function () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            return instance
+                ._purgeConnection(mock)
+                .then(() => {
+                    expect(instance.$connections.size).to.be.equal(0);
+                    expect(instance.$busyConnections.size).to.be.equal(0);
+                    expect(instance.$freeConnections.size).to.be.equal(0);
+                });
+        });
+    });
+
+    describe('$onScaleInterval', function () {
+        it('should scale down connection has not been queried', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionDecay   : 10,
+                scaleInterval     : 20
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            expect(instance.$connections.size).to.be.equal(1);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+
+            setTimeout(() => {
+                expect(instance.$connections.size).to.be.equal(0);
+                expect(instance.$busyConnections.size).to.be.equal(0);
+                expect(instance.$freeConnections.size).to.be.equal(0);
+
+                done();
+            }, 30);
+        });
+
+        it('should scale down connection that has been queried', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionDecay   : 10,
+                scaleInterval     : 20
+            });
+
+            const mock = new PoolConnectionMock(instance);
+
+            mock.$lastQuery = new Date().getTime();
+
+            instance.$add(instance.$connections,     mock);
+            instance.$add(instance.$freeConnections, mock);
+
+            expect(instance.$connections.size).to.be.equal(1);
+            expect(instance.$freeConnections.size).to.be.equal(1);
+
+            setTimeout(() => {
+                expect(instance.$connections.size).to.be.equal(0);
+                expect(instance.$busyConnections.size).to.be.equal(0);
+                expect(instance.$freeConnections.size).to.be.equal(0);
+
+                done();
+            }, 30);
+        });
+
+        it('should not scale down connection', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionDecay   : 10,
+                scaleInterval     : 20
+            });
+
+            const mock1 = new PoolConnectionMock(instance);
+            const mock2 = new PoolConnectionMock(instance);
+
+            mock1.$lastQuery = new Date().getTime();
+            mock2.$lastQuery = new Date().getTime() + 20;
+
+            instance.$add(instance.$connections,     mock1);
+            instance.$add(instance.$freeConnections, mock1);
+            instance.$add(instance.$connections,     mock2);
+            instance.$add(instance.$freeConnections, mock2);
+
+            expect(instance.$connections.size).to.be.equal(2);
+            expect(instance.$freeConnections.size).to.be.equal(2);
+
+            setTimeout(() => {
+                expect(instance.$connections.size).to.be.equal(1);
+                expect(instance.$busyConnections.size).to.be.equal(0);
+                expect(instance.$freeConnections.size).to.be.equal(1);
+
+                done();
+            }, 30);
+        });
+    });
+
+    describe('connect retries', function () {
+        it('should retry connecting with a new connection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0,
+                connectRetries    : 2,
+                connectRetryDelay : 1
+            });
+
+            const connect = instance.$connectConnection;
+            const stub    = this.sandbox.stub(instance, '$connectConnection', function (connection) {
+                return stub.callCount < 3 ? Promise.reject(new Error('foo')) : connect.call(this, connection);
+            });
+
+            const connection = yield instance.getConnection();
+
+            expect(connection).to.be.ok;
+            expect(stub).to.be.calledThrice;
+            expect(instance.getStats()).to.have.property('connectionsCreated', 3);
+        });
+
+        it('should fail once out of retries', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectRetries    : 1,
+                connectRetryDelay : 1
+            });
+
+            const stub  = this.sandbox.stub(instance, '$connectConnection').rejects(new Error('foo'));
+            const error = yield instance.getConnection().catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(stub).to.be.calledTwice;
+            expect(instance.$connections.size).to.be.equal(0);
+        });
+
+        it('should jitter the retry delay', function () {
+            instance = new PoolMock({
+                bufferOnConstruct    : false,
+                connectRetryDelay    : 100,
+                connectRetryMaxDelay : 300
+            });
+
+            expect(instance.$connectRetryDelay(0)).to.be.within(50, 100);
+            expect(instance.$connectRetryDelay(1)).to.be.within(100, 200);
+            expect(instance.$connectRetryDelay(5)).to.be.within(150, 300);
+        });
+    });
+
+    describe('circuit breaker', function () {
+        it('should open after the threshold and fail fast', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct       : false,
+                circuitBreakerThreshold : 2
+            });
+
+            const spy  = this.sandbox.spy();
+            const stub = this.sandbox.stub(instance, '$connectConnection').rejects(new Error('foo'));
+
+            instance.on('circuitOpen', spy);
+
+            yield instance.query('SELECT 1;').catch(() => {});
+            yield instance.query('SELECT 1;').catch(() => {});
+
+            const error = yield instance.query('SELECT 1;').catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_CIRCUIT_OPEN');
+            expect(stub).to.be.calledTwice;
+            expect(spy).to.be.calledOnce;
+        });
+
+        it('should let a probe through and close', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct       : false,
+                circuitBreakerThreshold : 1,
+                circuitBreakerTimeout   : 10
+            });
+
+            const spy     = this.sandbox.spy();
+            const connect = instance.$connectConnection;
+            const stub    = this.sandbox.stub(instance, '$connectConnection', function (connection) {
+                return stub.callCount === 1 ? Promise.reject(new Error('foo')) : connect.call(this, connection);
+            });
+
+            instance.on('circuitClose', spy);
+
+            yield instance.getConnection().catch(() => {});
+
+            instance.$circuit.openedAt -= 10;
+
+            const probe = instance.getConnection();
+            const error = yield instance.getConnection().catch(error => error);
+
+            expect(error).to.have.property('code', 'POOL_CIRCUIT_OPEN');
+
+            yield probe;
+
+            expect(spy).to.be.calledOnce;
+            expect(instance.$circuit.openedAt).to.be.null;
+        });
+
+        it('should stay open when the probe fails', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct       : false,
+                circuitBreakerThreshold : 1,
+                circuitBreakerTimeout   : 10
+            });
+
+            this.sandbox.stub(instance, '$connectConnection').rejects(new Error('foo'));
+
+            yield instance.getConnection().catch(() => {});
+
+            instance.$circuit.openedAt -= 10;
+
+            const probeError = yield instance.getConnection().catch(error => error);
+            const error      = yield instance.getConnection().catch(error => error);
+
+            expect(probeError.message).to.be.equal('foo');
+            expect(error).to.have.property('code', 'POOL_CIRCUIT_OPEN');
+        });
+
+        it('should still use free connections', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct       : false,
+                circuitBreakerThreshold : 1
             });
 
             const mock = new PoolConnectionMock(instance);
@@ -391,99 +2358,382 @@ describe('Pool', function () {
             instance.$add(instance.$connections,     mock);
             instance.$add(instance.$freeConnections, mock);
 
-            return instance
-                ._purgeConnection(mock)
-                .then(() => {
-                    expect(instance.$connections.size).to.be.equal(0);
-                    expect(instance.$busyConnections.size).to.be.equal(0);
-                    expect(instance.$freeConnections.size).to.be.equal(0);
-                });
+            instance.$circuit.openedAt = new Date().getTime();
+
+            const connection = yield instance.getConnection();
+
+            expect(connection).to.be.equal(mock);
         });
     });
 
-    describe('$onScaleInterval', function () {
-        it('should scale down connection has not been queried', function (done) {
+    describe('hosts', function () {
+        function failHosts (instance, sandbox, names) {
+            const connect = instance.$connectConnection;
+
+            return sandbox.stub(instance, '$connectConnection', function (connection) {
+                return names.indexOf(connection.$host.host) > -1 ?
+                    Promise.reject(new Error('foo')) :
+                    connect.call(this, connection);
+            });
+        }
+
+        it('should parse the hosts', function () {
             instance = new PoolMock({
                 bufferOnConstruct : false,
-                connectionDecay   : 10,
-                scaleInterval     : 20
+                connectionConfig  : {
+                    hosts : [ 'writer:3307', { host : 'standby' } ]
+                }
             });
 
-            const mock = new PoolConnectionMock(instance);
+            expect(instance.$hosts).to.be.deep.equal([
+                { failedAt : null, host : 'writer',  port : 3307 },
+                { failedAt : null, host : 'standby', port : 3306 }
+            ]);
+        });
 
-            instance.$add(instance.$connections,     mock);
-            instance.$add(instance.$freeConnections, mock);
+        it('should use the first host', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionConfig  : {
+                    hosts : [ 'writer', 'standby' ]
+                }
+            });
 
-            expect(instance.$connections.size).to.be.equal(1);
-            expect(instance.$freeConnections.size).to.be.equal(1);
+            const connection = yield instance.getConnection();
+
+            expect(connection.$host.host).to.be.equal('writer');
+        });
+
+        it('should fail over to the next host', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0,
+                connectionConfig  : {
+                    hosts : [ 'writer', 'standby' ]
+                }
+            });
+
+            const stub = failHosts(instance, this.sandbox, [ 'writer' ]);
+
+            const connection = yield instance.getConnection();
+
+            expect(connection.$host.host).to.be.equal('standby');
+            expect(stub).to.be.calledTwice;
+
+            const other = yield instance.getConnection();
+
+            expect(other.$host.host).to.be.equal('standby');
+            expect(stub).to.be.calledThrice;
+        });
+
+        it('should fail once every host failed', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionConfig  : {
+                    hosts : [ 'writer', 'standby' ]
+                }
+            });
+
+            const stub  = failHosts(instance, this.sandbox, [ 'writer', 'standby' ]);
+            const error = yield instance.getConnection().catch(error => error);
+
+            expect(error.message).to.be.equal('foo');
+            expect(stub).to.be.calledTwice;
+            expect(instance.$selectHost().host).to.be.equal('writer');
+        });
+
+        it('should fail back after the failback timeout', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionBuffer  : 0,
+                connectionConfig  : {
+                    hosts : [ 'writer', 'standby' ]
+                },
+                failbackTimeout   : 100
+            });
+
+            const stub = failHosts(instance, this.sandbox, [ 'writer' ]);
+
+            yield instance.getConnection();
+
+            expect(instance.$selectHost().host).to.be.equal('standby');
+
+            stub.restore();
+
+            yield new Promise(resolve => setTimeout(resolve, 110));
+
+            const connection = yield instance.getConnection();
+
+            expect(connection.$host.host).to.be.equal('writer');
+            expect(instance.$hosts[0].failedAt).to.be.null;
+        });
+
+        it('should spread connections across hosts', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                connectionConfig  : {
+                    hosts : [ 'one', 'two' ]
+                },
+                hostSelection     : 'spread'
+            });
+
+            const connections = yield [
+                instance.getConnection(),
+                instance.getConnection(),
+                instance.getConnection()
+            ];
+
+            expect(connections.map(connection => connection.$host.host)).to.be.deep.equal([ 'one', 'two', 'one' ]);
+        });
+    });
+
+    describe('schedule', function () {
+        const schedule = [
+            {
+                connectionBuffer   : 2,
+                days               : 'weekdays',
+                end                : '18:00',
+                maxConnectionLimit : 20,
+                minConnectionLimit : 4,
+                start              : '08:00'
+            }
+        ];
+
+        it('should use the limits of the window', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                clock             : () => new Date(2024, 0, 1, 12, 0),
+                schedule
+            });
+
+            expect(instance.maxConnectionLimit).to.be.equal(20);
+            expect(instance.minConnectionLimit).to.be.equal(4);
+            expect(instance.connectionBuffer).to.be.equal(2);
 
             setTimeout(() => {
-                expect(instance.$connections.size).to.be.equal(0);
-                expect(instance.$busyConnections.size).to.be.equal(0);
-                expect(instance.$freeConnections.size).to.be.equal(0);
+                expect(instance.$freeConnections.size).to.be.equal(4);
 
                 done();
-            }, 30);
+            }, 0);
         });
 
-        it('should scale down connection that has been queried', function (done) {
+        it('should use the configured limits outside of a window', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                clock              : () => new Date(2024, 0, 1, 20, 0),
+                maxConnectionLimit : 8,
+                schedule
+            });
+
+            expect(instance.maxConnectionLimit).to.be.equal(8);
+            expect(instance.minConnectionLimit).to.be.equal(0);
+            expect(instance.connectionBuffer).to.be.equal(5);
+        });
+
+        it('should scale up ahead of a window', function () {
             instance = new PoolMock({
                 bufferOnConstruct : false,
-                connectionDecay   : 10,
-                scaleInterval     : 20
+                clock             : () => new Date(2024, 0, 1, 7, 55),
+                schedule,
+                scheduleLeadTime  : 10 * 60 * 1000
             });
 
-            const mock = new PoolConnectionMock(instance);
+            expect(instance.maxConnectionLimit).to.be.equal(20);
+            expect(instance.minConnectionLimit).to.be.equal(4);
+            expect(instance.connectionBuffer).to.be.equal(5);
+        });
 
-            mock.$lastQuery = new Date().getTime();
+        it('should drain down after a window', function * () {
+            let now = new Date(2024, 0, 1, 12, 0);
 
-            instance.$add(instance.$connections,     mock);
-            instance.$add(instance.$freeConnections, mock);
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                clock              : () => now,
+                maxConnectionLimit : 1,
+                schedule
+            });
+
+            const spy = this.sandbox.spy();
+
+            yield new Promise(resolve => setTimeout(resolve, 0));
+
+            const connection1 = yield instance.getConnection();
+            const connection2 = yield instance.getConnection();
+
+            instance.on('schedule', spy);
+
+            now = new Date(2024, 0, 1, 19, 0);
+
+            instance.$applySchedule();
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].window).to.be.null;
+            expect(spy.args[0][0].limits).to.have.property('maxConnectionLimit', 1);
+            expect(instance.$connections.size).to.be.equal(2);
+            expect(instance.$freeConnections.size).to.be.equal(0);
+
+            connection1.release();
 
             expect(instance.$connections.size).to.be.equal(1);
+            expect(instance.$connections.has(connection2)).to.be.true;
+            expect(instance.getStats()).to.have.property('scaleDowns', 3);
+        });
+    });
+
+    describe('connection expiry', function () {
+        it('should retire a connection past maxUsesPerConnection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct    : false,
+                connectionBuffer     : 0,
+                maxUsesPerConnection : 2
+            });
+
+            const spy = this.sandbox.spy();
+
+            instance.on('retire', spy);
+
+            yield instance.query('SELECT 1;');
+
+            expect(spy).to.not.be.called;
             expect(instance.$freeConnections.size).to.be.equal(1);
 
-            setTimeout(() => {
-                expect(instance.$connections.size).to.be.equal(0);
-                expect(instance.$busyConnections.size).to.be.equal(0);
-                expect(instance.$freeConnections.size).to.be.equal(0);
+            yield instance.query('SELECT 2;');
+
+            expect(spy).to.be.calledOnce;
+            expect(instance.$connections.size).to.be.equal(0);
+            expect(instance.getStats()).to.have.property('connectionsDestroyed', 1);
+        });
+
+        it('should retire a connection past maxLifetime', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                maxLifetime       : 10
+            });
+
+            const connection = yield instance.getConnection();
+
+            connection.$createdAt -= 10;
+
+            yield connection.release();
+
+            expect(instance.$connections.has(connection)).to.be.false;
+            expect(instance.$freeConnections.has(connection)).to.be.false;
+        });
+
+        it('should replace a retired connection to stay at minConnectionLimit', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                connectionBuffer   : 0,
+                maxLifetime        : 1000,
+                minConnectionLimit : 1
+            });
+
+            instance
+                .getConnection()
+                .then((connection) => {
+                    connection.$createdAt -= 1000;
+
+                    instance.once('connect', (event) => {
+                        expect(event.connection).to.not.be.equal(connection);
+
+                        done();
+                    });
+
+                    connection.release();
+                })
+                .catch(done);
+        });
+
+        it('should replace a retired connection for a queued query', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                maxConnectionLimit : 1,
+                maxLifetime        : 1000
+            });
+
+            const connection = yield instance.getConnection();
+            const promise    = instance.query('SELECT 1;');
+
+            connection.$createdAt -= 1000;
+            connection.release();
+
+            yield promise;
+
+            expect(instance.$connections.size).to.be.equal(1);
+            expect(instance.$connections.has(connection)).to.be.false;
+        });
+    });
+
+    describe('$onKeepAliveInterval', function () {
+        function addFree (pool, lastValidated) {
+            const mock = new PoolConnectionMock(pool);
+
+            mock.$lastValidated = lastValidated;
+
+            pool.$add(pool.$connections,     mock);
+            pool.$add(pool.$freeConnections, mock);
+
+            return mock;
+        }
+
+        it('should ping idle free connections', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                keepAliveInterval : 10
+            });
+
+            const idle   = addFree(instance, new Date().getTime() - 20);
+            const recent = addFree(instance, new Date().getTime() + 1000);
+            const spy    = this.sandbox.spy(idle, 'ping');
+
+            this.sandbox.spy(recent, 'ping');
+
+            instance.on('release', () => {
+                expect(spy).to.be.calledOnce;
+                expect(recent.ping).to.not.be.called;
+                expect(instance.$freeConnections.has(idle)).to.be.true;
 
                 done();
-            }, 30);
+            });
         });
 
-        it('should not scale down connection', function (done) {
+        it('should mark the connection busy while pinging', function () {
             instance = new PoolMock({
                 bufferOnConstruct : false,
-                connectionDecay   : 10,
-                scaleInterval     : 20
+                keepAliveInterval : 10000
             });
 
-            const mock1 = new PoolConnectionMock(instance);
-            const mock2 = new PoolConnectionMock(instance);
+            const mock = addFree(instance);
 
-            mock1.$lastQuery = new Date().getTime();
-            mock2.$lastQuery = new Date().getTime() + 20;
+            instance.$onKeepAliveInterval();
 
-            instance.$add(instance.$connections,     mock1);
-            instance.$add(instance.$freeConnections, mock1);
-            instance.$add(instance.$connections,     mock2);
-            instance.$add(instance.$freeConnections, mock2);
+            expect(instance.$busyConnections.has(mock)).to.be.true;
+            expect(instance.$freeConnections.has(mock)).to.be.false;
+        });
 
-            expect(instance.$connections.size).to.be.equal(2);
-            expect(instance.$freeConnections.size).to.be.equal(2);
+        it('should replace a connection that fails the ping', function (done) {
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                keepAliveInterval : 10000
+            });
 
-            setTimeout(() => {
+            const mock = addFree(instance);
+
+            this.sandbox.stub(mock, 'ping', (options, callback) => callback(new Error('foo')));
+
+            instance.on('connect', (event) => {
+                expect(event.connection).to.not.be.equal(mock);
+                expect(instance.$connections.has(mock)).to.be.false;
                 expect(instance.$connections.size).to.be.equal(1);
-                expect(instance.$busyConnections.size).to.be.equal(0);
-                expect(instance.$freeConnections.size).to.be.equal(1);
 
                 done();
-            }, 30);
+            });
+
+            instance.$onKeepAliveInterval();
         });
     });
 
-    describe('$maybeBufferConnection', function () {
+    describe('$scale', function () {
         it('should buffer connections on construction', function (done) {
             instance = new PoolMock();
 
@@ -540,5 +2790,90 @@ describe('Pool', function () {
                     expect(instance.$freeConnections.size).to.be.equal(6);
                 });
         });
+
+        it('should buffer connections on getConnection', function * () {
+            instance = new PoolMock({
+                bufferOnConstruct : false
+            });
+
+            const connection = yield instance.getConnection();
+
+            expect(instance.$connections.size).to.be.equal(6);
+            expect(instance.$busyConnections.has(connection)).to.be.true;
+
+            connection.release();
+        });
+
+        it('should call the scaling strategy on acquire, release and tick', function * () {
+            const strategy = {
+                acquire : this.sandbox.stub().returns(0),
+                release : this.sandbox.stub().returns(0),
+                tick    : this.sandbox.stub().returns(0)
+            };
+
+            instance = new PoolMock({
+                bufferOnConstruct : false,
+                scalingStrategy   : strategy
+            });
+
+            yield instance.query('SELECT 1;');
+
+            instance.$onScaleInterval();
+
+            expect(strategy.acquire).to.be.calledOnce;
+            expect(strategy.release).to.be.calledOnce;
+            expect(strategy.tick).to.be.calledOnce;
+            expect(strategy.tick.args[0][0]).to.have.property('free', 1);
+            expect(strategy.tick.args[0][0].idle).to.have.lengthOf(1);
+            expect(strategy.tick.args[0][1]).to.be.equal(instance);
+            expect(instance.$connections.size).to.be.equal(1);
+        });
+
+        it('should add the connections returned by the strategy', function (done) {
+            instance = new PoolMock({
+                maxConnectionLimit : 4,
+                scalingStrategy    : {
+                    acquire : () => 10
+                }
+            });
+
+            setTimeout(() => {
+                expect(instance.$connections.size).to.be.equal(4);
+                expect(instance.$freeConnections.size).to.be.equal(4);
+
+                done();
+            }, 0);
+        });
+
+        it('should remove the most idle connections returned by the strategy', function () {
+            instance = new PoolMock({
+                bufferOnConstruct  : false,
+                minConnectionLimit : 1,
+                scalingStrategy    : {
+                    tick : () => -5
+                }
+            });
+
+            const mock1 = new PoolConnectionMock(instance);
+            const mock2 = new PoolConnectionMock(instance);
+            const spy   = this.sandbox.spy();
+
+            mock1.$lastQuery = new Date().getTime();
+            mock2.$lastQuery = new Date().getTime() - 1000;
+
+            instance.$add(instance.$connections,     mock1);
+            instance.$add(instance.$freeConnections, mock1);
+            instance.$add(instance.$connections,     mock2);
+            instance.$add(instance.$freeConnections, mock2);
+
+            instance.on('scaleDown', spy);
+
+            instance.$onScaleInterval();
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].connection).to.be.equal(mock2);
+            expect(instance.$connections.has(mock1)).to.be.true;
+            expect(instance.getStats()).to.have.property('scaleDowns', 1);
+        });
     });
 });
@@ -0,0 +1,270 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const PoolCluster = require('../../PoolCluster');
+const PoolMock    = require('../mocks/Pool');
+
+describe('PoolCluster', function () {
+    let instance;
+
+    afterEach(function () {
+        let temp = instance;
+
+        instance = null;
+
+        if (temp) {
+            return temp.destroy();
+        }
+    });
+
+    function createCluster (config) {
+        return new PoolCluster(Object.assign({
+            defaults  : {
+                bufferOnConstruct : false,
+                connectionBuffer  : 0,
+                connectionConfig  : {
+                    user : 'foo'
+                }
+            },
+            poolClass : PoolMock,
+            primary   : {
+                connectionConfig : {
+                    host : 'primary'
+                }
+            },
+            replicas  : [
+                { connectionConfig : { host : 'replica1' } },
+                { connectionConfig : { host : 'replica2' } }
+            ]
+        }, config));
+    }
+
+    function fatalError () {
+        const error = new Error('Connection lost');
+
+        error.fatal = true;
+
+        return error;
+    }
+
+    describe('initialization', function () {
+        it('should create the pools', function () {
+            instance = createCluster();
+
+            expect(instance.$primary).to.be.an.instanceof(PoolMock);
+            expect(instance.$primary.connectionConfig).to.be.deep.equal({ host : 'primary', user : 'foo' });
+            expect(instance.$replicas).to.have.lengthOf(2);
+            expect(instance.$replicas[0].pool.connectionConfig).to.be.deep.equal({ host : 'replica1', user : 'foo' });
+        });
+
+        it('should require a primary', function () {
+            expect(() => new PoolCluster({ poolClass : PoolMock })).to.throw(Error);
+        });
+    });
+
+    describe('query', function () {
+        it('should send reads to a replica', function * () {
+            instance = createCluster();
+
+            const primary = this.sandbox.spy(instance.$primary,          'query');
+            const replica = this.sandbox.spy(instance.$replicas[0].pool, 'query');
+
+            yield instance.query('SELECT 1;');
+
+            expect(replica).to.be.calledOnce;
+            expect(primary).to.not.be.called;
+        });
+
+        it('should send writes and locking reads to the primary', function * () {
+            instance = createCluster();
+
+            const primary = this.sandbox.spy(instance.$primary, 'query');
+
+            yield instance.query('UPDATE foo SET bar = 1;');
+            yield instance.query('SELECT * FROM foo FOR UPDATE;');
+            yield instance.query({ sql : 'INSERT INTO foo VALUES (1);' });
+
+            expect(primary).to.be.calledThrice;
+        });
+
+        it('should use the role option', function * () {
+            instance = createCluster();
+
+            const primary = this.sandbox.spy(instance.$primary,          'query');
+            const replica = this.sandbox.spy(instance.$replicas[0].pool, 'query');
+
+            yield instance.query('SELECT 1;', undefined, { role : 'write' });
+            yield instance.query('CALL foo();', undefined, { role : 'read' });
+
+            expect(primary).to.be.calledOnce;
+            expect(replica).to.be.calledOnce;
+        });
+
+        it('should send reads to the primary without replicas', function * () {
+            instance = createCluster({ replicas : [] });
+
+            const primary = this.sandbox.spy(instance.$primary, 'query');
+
+            yield instance.query('SELECT 1;');
+
+            expect(primary).to.be.calledOnce;
+        });
+    });
+
+    describe('selector', function () {
+        it('should select round robin', function () {
+            instance = createCluster();
+
+            const pools = [ 0, 1, 2 ].map(() => instance.getPool('read'));
+
+            expect(pools).to.be.deep.equal([
+                instance.$replicas[0].pool,
+                instance.$replicas[1].pool,
+                instance.$replicas[0].pool
+            ]);
+        });
+
+        it('should select random', function () {
+            instance = createCluster({ selector : 'random' });
+
+            this.sandbox.stub(Math, 'random').returns(0.9);
+
+            expect(instance.getPool('read')).to.be.equal(instance.$replicas[1].pool);
+        });
+
+        it('should select least busy', function () {
+            instance = createCluster({ selector : 'least-busy' });
+
+            this.sandbox.stub(instance.$replicas[0].pool, 'getCounts').returns({ busy : 3 });
+            this.sandbox.stub(instance.$replicas[1].pool, 'getCounts').returns({ busy : 1 });
+
+            expect(instance.getPool('read')).to.be.equal(instance.$replicas[1].pool);
+        });
+
+        it('should use a selector function', function () {
+            instance = createCluster({ selector : pools => pools[1] });
+
+            expect(instance.getPool('read')).to.be.equal(instance.$replicas[1].pool);
+        });
+    });
+
+    describe('replica failures', function () {
+        it('should remove a failing replica', function * () {
+            instance = createCluster({ replicaFailureThreshold : 2 });
+
+            const spy     = this.sandbox.spy();
+            const replica = instance.$replicas[0];
+
+            this.sandbox.stub(replica.pool, 'query').rejects(fatalError());
+
+            instance.on('replicaRemove', spy);
+
+            yield instance.query('SELECT 1;', undefined, { role : 'read' }).catch(() => {});
+            instance.$selections = 0;
+            yield instance.query('SELECT 1;', undefined, { role : 'read' }).catch(() => {});
+
+            expect(spy).to.be.calledOnce;
+            expect(spy.args[0][0].pool).to.be.equal(replica.pool);
+            expect(instance.getPool('read')).to.be.equal(instance.$replicas[1].pool);
+            expect(instance.getPool('read')).to.be.equal(instance.$replicas[1].pool);
+            expect(instance.getStats().replicas[0].removed).to.be.true;
+        });
+
+        it('should not count SQL errors', function * () {
+            instance = createCluster({ replicaFailureThreshold : 1 });
+
+            const replica = instance.$replicas[0];
+            const error   = new Error('Syntax error');
+
+            error.code = 'ER_PARSE_ERROR';
+
+            this.sandbox.stub(replica.pool, 'query').rejects(error);
+
+            yield instance.query('SELECT 1;').catch(() => {});
+
+            expect(replica.failures).to.be.equal(0);
+            expect(replica.removedUntil).to.be.equal(0);
+        });
+
+        it('should restore a replica after the remove time', function () {
+            instance = createCluster();
+
+            const spy     = this.sandbox.spy();
+            const replica = instance.$replicas[0];
+
+            replica.removedUntil = new Date().getTime() - 1;
+
+            instance.on('replicaRestore', spy);
+
+            expect(instance.getPool('read')).to.be.equal(replica.pool);
+            expect(spy).to.be.calledOnce;
+        });
+
+        it('should use the primary when all replicas are removed', function () {
+            instance = createCluster();
+
+            instance.$replicas.forEach(replica => {
+                replica.removedUntil = new Date().getTime() + 1000;
+            });
+
+            expect(instance.getPool('read')).to.be.equal(instance.$primary);
+        });
+
+        it('should not restore a replica from getStats', function () {
+            instance = createCluster();
+
+            const spy     = this.sandbox.spy();
+            const replica = instance.$replicas[0];
+
+            replica.removedUntil = new Date().getTime() - 1;
+
+            instance.on('replicaRestore', spy);
+
+            expect(instance.getStats().replicas[0].removed).to.be.false;
+            expect(replica.removedUntil).to.not.be.equal(0);
+            expect(spy).to.not.be.called;
+        });
+    });
+
+    describe('getConnection', function () {
+        it('should get a connection from the primary by default', function * () {
+            instance = createCluster();
+
+            const spy = this.sandbox.spy(instance.$primary, 'getConnection');
+
+            yield instance.getConnection();
+
+            expect(spy).to.be.calledOnce;
+        });
+
+        it('should get a connection from a replica for reads', function * () {
+            instance = createCluster();
+
+            const spy = this.sandbox.spy(instance.$replicas[0].pool, 'getConnection');
+
+            yield instance.getConnection({ role : 'read' });
+
+            expect(spy).to.be.calledOnce;
+        });
+
+        it('should remove a replica failing to connect', function * () {
+            instance = createCluster({ replicaFailureThreshold : 2 });
+
+            const spy     = this.sandbox.spy();
+            const replica = instance.$replicas[0];
+
+            this.sandbox.stub(replica.pool, 'getConnection').rejects(fatalError());
+
+            instance.on('replicaRemove', spy);
+
+            yield instance.getConnection({ role : 'read' }).catch(() => {});
+            instance.$selections = 0;
+            yield instance.getConnection({ role : 'read' }).catch(() => {});
+
+            expect(spy).to.be.calledOnce;
+            expect(instance.getStats().replicas[0].removed).to.be.true;
+        });
+    });
+});
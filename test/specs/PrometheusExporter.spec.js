@@ -0,0 +1,96 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const PoolMock           = require('../mocks/Pool');
+const PrometheusExporter = require('../../PrometheusExporter');
+
+describe('PrometheusExporter', function () {
+    let pools;
+
+    beforeEach(function () {
+        pools = [];
+    });
+
+    afterEach(function () {
+        return Promise.all(pools.map(pool => pool.destroy()));
+    });
+
+    function createPool (config) {
+        const pool = new PoolMock(Object.assign({
+            bufferOnConstruct : false,
+            connectionBuffer  : 0
+        }, config));
+
+        pools.push(pool);
+
+        return pool;
+    }
+
+    describe('metrics', function () {
+        it('should export gauges and counters', function () {
+            const pool     = createPool();
+            const instance = new PrometheusExporter().register(pool);
+
+            return pool
+                .query('SELECT 1;')
+                .then(() => {
+                    const text = instance.metrics();
+
+                    expect(text).to.contain('# TYPE mysql_pool_connections gauge\n');
+                    expect(text).to.contain('mysql_pool_connections{state="free"} 1\n');
+                    expect(text).to.contain('mysql_pool_queue_depth 0\n');
+                    expect(text).to.contain('# TYPE mysql_pool_acquisitions_total counter\n');
+                    expect(text).to.contain('mysql_pool_acquisitions_total 1\n');
+                    expect(text).to.contain('mysql_pool_queries_total 1\n');
+                });
+        });
+
+        it('should export histograms in seconds', function () {
+            const pool     = createPool();
+            const instance = new PrometheusExporter().register(pool);
+
+            pool.$queryTime.observe(20);
+
+            const text = instance.metrics();
+
+            expect(text).to.contain('# TYPE mysql_pool_query_duration_seconds histogram\n');
+            expect(text).to.contain('mysql_pool_query_duration_seconds_bucket{le="0.01"} 0\n');
+            expect(text).to.contain('mysql_pool_query_duration_seconds_bucket{le="0.025"} 1\n');
+            expect(text).to.contain('mysql_pool_query_duration_seconds_bucket{le="+Inf"} 1\n');
+            expect(text).to.contain('mysql_pool_query_duration_seconds_sum 0.02\n');
+            expect(text).to.contain('mysql_pool_query_duration_seconds_count 1\n');
+        });
+
+        it('should use the prefix and labels', function () {
+            const instance = new PrometheusExporter({
+                labels : { service : 'api' },
+                prefix : 'db_'
+            });
+
+            instance
+                .register(createPool(), { pool : 'primary' })
+                .register(createPool(), { pool : 'replica "1"' });
+
+            const text = instance.metrics();
+
+            expect(text.match(/# TYPE db_queue_depth gauge/g)).to.have.lengthOf(1);
+            expect(text).to.contain('db_queue_depth{service="api",pool="primary"} 0\n');
+            expect(text).to.contain('db_queue_depth{service="api",pool="replica \\"1\\""} 0\n');
+        });
+    });
+
+    describe('unregister', function () {
+        it('should stop exporting the pool', function () {
+            const pool     = createPool();
+            const instance = new PrometheusExporter();
+
+            instance
+                .register(pool, { pool : 'primary' })
+                .unregister(pool);
+
+            expect(instance.metrics()).to.not.contain('pool="primary"');
+        });
+    });
+});
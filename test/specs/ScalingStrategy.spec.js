@@ -0,0 +1,73 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const ScalingStrategy = require('../../ScalingStrategy');
+
+describe('ScalingStrategy', function () {
+    const pool = {
+        connectionBuffer : 5,
+        connectionDecay  : 100
+    };
+
+    function snapshot (stats) {
+        return Object.assign({
+            buffering          : 0,
+            free               : 0,
+            idle               : [],
+            maxConnectionLimit : 10,
+            minConnectionLimit : 0,
+            total              : 0
+        }, stats);
+    }
+
+    describe('acquire', function () {
+        it('should buffer the connectionBuffer', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.acquire(snapshot({ total : 1 }), pool)).to.be.equal(5);
+        });
+
+        it('should subtract free and buffering connections', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.acquire(snapshot({ buffering : 1, free : 2, total : 4 }), pool)).to.be.equal(2);
+        });
+
+        it('should not go over the maxConnectionLimit', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.acquire(snapshot({ total : 8 }), pool)).to.be.equal(2);
+            expect(strategy.acquire(snapshot({ total : 10 }), pool)).to.be.equal(0);
+        });
+
+        it('should not buffer without a connectionBuffer', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.acquire(snapshot({ total : 1 }), { connectionBuffer : 0 })).to.be.equal(0);
+        });
+    });
+
+    describe('release', function () {
+        it('should not scale', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.release(snapshot(), pool)).to.be.equal(0);
+        });
+    });
+
+    describe('tick', function () {
+        it('should remove decayed connections', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.tick(snapshot({ idle : [ Infinity, 100, 50 ] }), pool)).to.be.equal(-2);
+        });
+
+        it('should not remove connections without a connectionDecay', function () {
+            const strategy = new ScalingStrategy();
+
+            expect(strategy.tick(snapshot({ idle : [ Infinity ] }), { connectionDecay : 0 })).to.be.equal(0);
+        });
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const chai   = require('chai');
+const expect = chai.expect;
+
+const Schedule = require('../../Schedule');
+
+describe('Schedule', function () {
+    /**
+     * 2024-01-01 is a Monday.
+     */
+    function date (day, time) {
+        const parts = time.split(':');
+
+        return new Date(2024, 0, day, Number(parts[0]), Number(parts[1]));
+    }
+
+    describe('getWindow', function () {
+        it('should find the window', function () {
+            const window   = { days : 'weekdays', end : '18:00', start : '08:00' };
+            const schedule = new Schedule([ window ]);
+
+            expect(schedule.getWindow(date(1, '08:00'))).to.be.equal(window);
+            expect(schedule.getWindow(date(1, '17:59'))).to.be.equal(window);
+            expect(schedule.getWindow(date(1, '18:00'))).to.be.null;
+            expect(schedule.getWindow(date(1, '07:59'))).to.be.null;
+        });
+
+        it('should match the days', function () {
+            const weekdays = { days : 'weekdays', end : '18:00', start : '08:00' };
+            const weekends = { days : 'weekends', end : '18:00', start : '08:00' };
+            const tuesday  = { days : [ 2 ],      end : '18:00', start : '08:00' };
+
+            expect(new Schedule([ weekdays ]).getWindow(date(6, '12:00'))).to.be.null;
+            expect(new Schedule([ weekends ]).getWindow(date(6, '12:00'))).to.be.equal(weekends);
+            expect(new Schedule([ tuesday ]).getWindow(date(2, '12:00'))).to.be.equal(tuesday);
+            expect(new Schedule([ tuesday ]).getWindow(date(3, '12:00'))).to.be.null;
+        });
+
+        it('should match every day without days', function () {
+            const window = { end : '18:00', start : '08:00' };
+
+            expect(new Schedule([ window ]).getWindow(date(7, '12:00'))).to.be.equal(window);
+        });
+
+        it('should run past midnight', function () {
+            const window   = { days : [ 5 ], end : '02:00', start : '22:00' };
+            const schedule = new Schedule([ window ]);
+
+            expect(schedule.getWindow(date(5, '23:00'))).to.be.equal(window);
+            expect(schedule.getWindow(date(6, '01:00'))).to.be.equal(window);
+            expect(schedule.getWindow(date(5, '01:00'))).to.be.null;
+        });
+
+        it('should use the first matching window', function () {
+            const first  = { end : '12:00', start : '08:00' };
+            const second = { end : '18:00', start : '08:00' };
+
+            expect(new Schedule([ first, second ]).getWindow(date(1, '09:00'))).to.be.equal(first);
+        });
+
+        it('should throw on unknown days', function () {
+            expect(() => new Schedule([ { days : 'holidays', end : '18:00', start : '08:00' } ])).to.throw(Error);
+        });
+    });
+});